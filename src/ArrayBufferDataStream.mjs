@@ -17,9 +17,8 @@ export default class ArrayBufferDataStream {
     }
 
     writeBytes(arr) {
-        for (let i = 0; i < arr.length; i++) {
-            this.data[this.pos++] = arr[i];
-        }
+        this.data.set(arr, this.pos);
+        this.pos += arr.length;
     }
 
     writeByte(b) {
@@ -54,6 +53,13 @@ export default class ArrayBufferDataStream {
         }
     }
 
+    /**
+     * Write a BigInt to the stream as a 64-bit two's complement integer
+     */
+    writeBigInt64BE(i) {
+        this.writeBigUintBE(BigInt.asUintN(64, i), 8);
+    }
+
     /**
      * Write an ASCII string to the stream
      */
@@ -64,8 +70,8 @@ export default class ArrayBufferDataStream {
     }
 
     /**
-     * Write the given 32-bit integer to the stream as an EBML variable-length integer using the given byte width
-     * (use measureEBMLVarInt).
+     * Write the given integer (a Number or a BigInt) to the stream as an EBML variable-length integer using the given
+     * byte width (use measureEBMLVarInt).
      *
      * No error checking is performed to ensure that the supplied width is correct for the integer.
      *
@@ -93,15 +99,14 @@ export default class ArrayBufferDataStream {
                 this.writeU8(i);
                 break;
             case 5:
+            case 6:
+            case 7:
+            case 8:
                 /*
-                 * JavaScript converts its doubles to 32-bit integers for bitwise operations, so we need to do a
-                 * division by 2^32 instead of a right-shift of 32 to retain those top 3 bits
+                 * JavaScript converts its doubles to 32-bit integers for bitwise operations, so we use a BigInt to
+                 * retain the top bits
                  */
-                this.writeU8((1 << 3) | ((i / 4294967296) & 0x7));
-                this.writeU8(i >> 24);
-                this.writeU8(i >> 16);
-                this.writeU8(i >> 8);
-                this.writeU8(i);
+                this.writeBigUintBE(BigInt(i) | (1n << BigInt(width * 7)), width);
                 break;
             default:
                 throw new Error("Bad EBML VINT size " + width);
@@ -123,8 +128,14 @@ export default class ArrayBufferDataStream {
             return 3;
         } else if (val < (1 << 28) - 1) {
             return 4;
-        } else if (val < 34359738367) { // 2 ^ 35 - 1 (can address 32GB)
+        } else if (val < 34359738367) { // 2 ^ 35 - 1
             return 5;
+        } else if (val < 4398046511103) { // 2 ^ 42 - 1
+            return 6;
+        } else if (val < 562949953421311) { // 2 ^ 49 - 1
+            return 7;
+        } else if (val < 72057594037927935n) { // 2 ^ 56 - 1 (BigInt since that's beyond the precision of a Number)
+            return 8;
         } else {
             throw new Error("EBML VINT size not supported " + val);
         }
@@ -135,8 +146,20 @@ export default class ArrayBufferDataStream {
     }
 
     /**
-     * Write the given unsigned 32-bit integer to the stream in big-endian order using the given byte width.
-     * No error checking is performed to ensure that the supplied width is correct for the integer.
+     * Write the given BigInt to the stream as an unsigned integer in big-endian order using the given byte width.
+     *
+     * @param {BigInt} u
+     * @param {Number} width
+     */
+    writeBigUintBE(u, width) {
+        for (let shift = BigInt((width - 1) * 8); shift >= 0n; shift -= 8n) {
+            this.writeByte(Number((u >> shift) & 0xFFn));
+        }
+    }
+
+    /**
+     * Write the given unsigned integer (a Number or a BigInt) to the stream in big-endian order using the given byte
+     * width. No error checking is performed to ensure that the supplied width is correct for the integer.
      *
      * Omit the width parameter to have it determined automatically for you.
      *
@@ -148,10 +171,18 @@ export default class ArrayBufferDataStream {
             width = this.measureUnsignedInt(u);
         }
 
+        if (typeof u === "bigint" || width > 4) {
+            if (!(width >= 1 && width <= 8)) {
+                throw new Error("Bad UINT size " + width);
+            }
+
+            // Bitwise operations on Numbers only work on 32 bits, so use a BigInt to reach the upper bytes
+            this.writeBigUintBE(BigInt(u), width);
+            return;
+        }
+
         // Each case falls through:
         switch (width) {
-            case 5:
-                this.writeU8(Math.floor(u / 4294967296)); // Need to use division to access >32 bits of floating point var
             case 4:
                 this.writeU8(u >> 24);
             case 3:
@@ -170,14 +201,36 @@ export default class ArrayBufferDataStream {
      * Return the number of bytes needed to hold the non-zero bits of the given unsigned integer.
      */
     measureUnsignedInt(val) {
-        // Force to 32-bit unsigned integer
         if (val < (1 << 8)) {
             return 1;
         } else if (val < (1 << 16)) {
             return 2;
         } else if (val < (1 << 24)) {
             return 3;
-        } else if (val < 4294967296) {
+        } else if (val < 4294967296) { // 2 ^ 32
+            return 4;
+        } else if (val < 1099511627776) { // 2 ^ 40
+            return 5;
+        } else if (val < 281474976710656) { // 2 ^ 48
+            return 6;
+        } else if (val < 72057594037927936n) { // 2 ^ 56
+            return 7;
+        } else {
+            return 8;
+        }
+    }
+
+    /**
+     * Return the number of bytes needed to hold the given signed integer in two's complement form.
+     */
+    measureSignedInt(val) {
+        if (val >= -(1 << 7) && val < (1 << 7)) {
+            return 1;
+        } else if (val >= -(1 << 15) && val < (1 << 15)) {
+            return 2;
+        } else if (val >= -(1 << 23) && val < (1 << 23)) {
+            return 3;
+        } else if (val >= -2147483648 && val < 2147483648) {
             return 4;
         } else {
             return 5;
@@ -2,14 +2,15 @@
  * Allows a series of Blob-convertible objects (ArrayBuffer, Blob, String, etc) to be added to a buffer. Seeking and
  * overwriting of blobs is allowed.
  *
- * You can supply a FileWriter, in which case the BlobBuffer is just used as temporary storage before it writes it
- * through to the disk.
+ * The data is written through to a sink (see sinks.mjs), which by default keeps it in memory.
  *
  * By Nicholas Sherlock
  *
  * Released under the WTFPLv2 https://en.wikipedia.org/wiki/WTFPL
  */
 
+import { MemorySink } from './sinks.mjs';
+
 /**
  * Returns a promise that converts the blob to an ArrayBuffer
  * @param {Blob} blob
@@ -48,6 +49,26 @@ function convertToUint8Array(thing) {
 	});
 }
 
+/**
+ * Convert the data without waiting, for sinks which are written synchronously.
+ *
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView|String} thing
+ * @returns {Uint8Array}
+ */
+function convertToUint8ArraySync(thing) {
+	if (thing instanceof Uint8Array) {
+		return thing;
+	} else if (thing instanceof ArrayBuffer) {
+		return new Uint8Array(thing);
+	} else if (ArrayBuffer.isView(thing)) {
+		return new Uint8Array(thing.buffer, thing.byteOffset, thing.byteLength);
+	} else if (typeof thing === "string") {
+		return new TextEncoder().encode(thing);
+	}
+
+	throw new Error("Blobs can't be written to a synchronous sink");
+}
+
 function measureData(data) {
 	let result = data.byteLength || data.length || data.size;
 
@@ -60,10 +81,7 @@ function measureData(data) {
 
 
 export default class BlobBuffer {
-	buffer = [];
 	writePromise = Promise.resolve();
-	fd = null;
-	fs = null;
 
 	// Current seek offset
 	pos = 0;
@@ -71,13 +89,23 @@ export default class BlobBuffer {
 	// One more than the index of the highest byte ever written
 	length = 0;
 
-	constructor(destination, fs) {
-		if (destination && destination.constructor.name === "FileWriter") {
-			this.fileWriter = destination;
-		} else if (fs && destination) {
-			this.fd = destination;
-			this.fs = fs;
-		}
+	// Number of writes which have been queued but haven't finished yet
+	pendingWrites = 0;
+
+	// The number of pending writes above which the buffer asks its producer to wait (see `ready`)
+	highWaterMark = Infinity;
+
+	// Resolve functions of the promises returned by `ready` while the buffer was full
+	readyWaiters = [];
+
+	// The error that a write failed with, or the reason passed to abort(). Once set, no more writes are made.
+	error = null;
+
+	/**
+	 * @param {Sink} [sink] - Where the data is written, by default it's buffered in memory
+	 */
+	constructor(sink) {
+		this.sink = sink || new MemorySink();
 	}
 
 	/**
@@ -99,133 +127,146 @@ export default class BlobBuffer {
 			throw new Error("Seeking beyond the end of file is not allowed");
 		}
 
+		if (offset < this.length && !this.seekable) {
+			throw new Error("The destination can't seek back to earlier data");
+		}
+
 		this.pos = offset;
 	}
 
+	/**
+	 * False if the sink can only append to the end of the file.
+	 *
+	 * @returns {boolean}
+	 */
+	get seekable() {
+		return this.sink.seekable !== false;
+	}
+
+	/**
+	 * The number of writes that can still be queued before the high water mark is reached (may be negative).
+	 *
+	 * @returns {Number}
+	 */
+	get desiredSize() {
+		return this.highWaterMark - this.pendingWrites;
+	}
+
+	/**
+	 * A promise which resolves once the number of pending writes is below the high water mark.
+	 *
+	 * @returns {Promise}
+	 */
+	get ready() {
+		if (this.desiredSize > 0) {
+			return Promise.resolve();
+		}
+
+		return new Promise(resolve => this.readyWaiters.push(resolve));
+	}
+
+	_writeFinished() {
+		this.pendingWrites--;
+
+		if (this.desiredSize > 0) {
+			const waiters = this.readyWaiters;
+
+			this.readyWaiters = [];
+			waiters.forEach(resolve => resolve());
+		}
+	}
+
 	/**
 	 * Write the Blob-convertible data to the buffer at the current seek position.
 	 *
 	 * Note: If overwriting existing data, the write must not cross preexisting block boundaries (written data must
 	 * be fully contained by the extent of a previous write).
+	 *
+	 * Throws if an earlier write failed or the buffer was aborted.
 	 */
 	write(data) {
-		const newEntry = {
-			offset: this.pos,
-			data: data,
-			length: measureData(data)
-		};
-		const isAppend = newEntry.offset >= this.length;
-
-		this.pos += newEntry.length;
+		if (this.error) {
+			throw this.error;
+		}
+
+		const offset = this.pos;
+
+		this.pos += measureData(data);
 		this.length = Math.max(this.length, this.pos);
 
-		// After previous writes complete, perform our write
-		this.writePromise = this.writePromise.then(() => {
-			if (this.fd) {
-				return this._writeToFs(newEntry, this.fs, this.fd);
-			} else if (this.fileWriter) {
-				return this._writeToFileWriter(newEntry, this.fileWriter);
-			} else if (!isAppend) {
-				// We might be modifying a write that was already buffered in memory.
-
-				// Slow linear search to find a block we might be overwriting
-				for (let i = 0; i < this.buffer.length; i++) {
-					const entry = this.buffer[i];
-
-					// If our new entry overlaps the old one in any way...
-					if (
-						newEntry.offset + newEntry.length <= entry.offset ||
-						newEntry.offset >= entry.offset + entry.length
-					) continue;
-
-					if (
-						newEntry.offset < entry.offset ||
-						newEntry.offset + newEntry.length > entry.offset + entry.length
-					) throw new Error('Overwrite crosses blob boundaries');
-
-					if (newEntry.offset === entry.offset && newEntry.length === entry.length) {
-						// We overwrote the entire block
-						entry.data = newEntry.data;
-
-						// We're done
-						return;
-					}
-
-					return convertToUint8Array(entry.data)
-						.then(entryArray => {
-							entry.data = entryArray;
-
-							return convertToUint8Array(newEntry.data);
-						}).then(newEntryArray => {
-							newEntry.data = newEntryArray;
-
-							entry.data.set(newEntry.data, newEntry.offset - entry.offset);
-						});
-				}
-				// Else fall through to do a simple append, as we didn't overwrite any pre-existing blocks
+		// Synchronous sinks (like OPFS access handles) have finished the write by the time it returns, so there's
+		// nothing to queue
+		if (this.sink.synchronous) {
+			try {
+				this.sink.write(offset, convertToUint8ArraySync(data));
+			} catch (e) {
+				this._fail(e);
+				throw e;
 			}
+			return;
+		}
 
-			this.buffer.push(newEntry);
-		});
-	};
-
-	_writeToFileWriter(newEntry, fileWriter) {
-		return new Promise(function (resolve) {
-			fileWriter.onwriteend = resolve;
+		this.pendingWrites++;
 
-			fileWriter.seek(newEntry.offset);
-			fileWriter.write(new Blob([newEntry.data]));
-		});
-	}
+		// After previous writes complete, perform our write
+		// (this chain never rejects, a failure is kept in `error` instead)
+		this.writePromise = this.writePromise
+			.then(() => {
+				// Skip the writes that were queued behind one that failed
+				if (!this.error) {
+					return convertToUint8Array(data).then(bytes => this.sink.write(offset, bytes));
+				}
+			})
+			.catch(e => this._fail(e))
+			.finally(() => this._writeFinished());
+	};
 
-	_writeToFs(newEntry, fs, fd) {
-		return new Promise(function (resolve) {
-			convertToUint8Array(newEntry.data).then(function (dataArray) {
-				let totalWritten = 0;
-				const buffer = typeof Buffer === 'function'
-					? Buffer.from(dataArray.buffer)
-					: new Uint8Array(dataArray.buffer.slice(0));
-
-				const handleWriteComplete = function (err, written, buffer) {
-					totalWritten += written;
-
-					if (totalWritten >= buffer.length) {
-						resolve();
-					} else {
-						// We still have more to write...
-						fs.write(fd, buffer, totalWritten, buffer.length - totalWritten, newEntry.offset + totalWritten, handleWriteComplete);
-					}
-				};
-
-				fs.write(fd, buffer, 0, buffer.length, newEntry.offset, handleWriteComplete);
-			});
-		});
+	/**
+	 * Record the first error, which stops all later writes.
+	 */
+	_fail(error) {
+		if (!this.error) {
+			this.error = error;
+		}
 	}
 
 	/**
 	 * Finish all writes to the buffer, returning a promise that signals when that is complete.
 	 *
-	 * If a FileWriter was not provided, the promise is resolved with a Blob that represents the completed BlobBuffer
-	 * contents. You can optionally pass in a mimeType to be used for this blob.
+	 * The promise is resolved with the result of closing the sink: for the default memory sink, a Blob that
+	 * represents the completed BlobBuffer contents. You can optionally pass in a mimeType to be used for this blob.
 	 *
-	 * If a FileWriter was provided, the promise is resolved with null as the first argument.
+	 * It's rejected instead if any write failed, or the buffer was aborted.
 	 */
 	complete(mimeType) {
-		if (this.fd || this.fileWriter) {
-			this.writePromise = this.writePromise.then(() => null);
-		} else {
-			// After writes complete we need to merge the buffer to give to the caller
-			this.writePromise = this.writePromise.then(() => {
-				const result = [];
+		const result = this.writePromise.then(() => {
+			if (this.error) {
+				throw this.error;
+			}
 
-				for (let i = 0; i < this.buffer.length; i++) {
-					result.push(this.buffer[i].data);
-				}
+			return this.sink.close(mimeType);
+		});
 
-				return new Blob(result, { type: mimeType });
-			});
-		}
+		// Later writes wait for the sink to close (the caller gets any error from `result`)
+		this.writePromise = result.catch(() => {});
 
-		return this.writePromise;
+		return result;
 	};
+
+	/**
+	 * Stop writing: writes which haven't begun yet are dropped, and the sink is told to discard what it can (e.g.
+	 * the memory sink releases its data). Later writes throw the reason, and complete() rejects with it.
+	 *
+	 * @param {*} [reason]
+	 * @returns {Promise} Resolves once the write in progress (if any) has finished and the sink has been aborted
+	 */
+	abort(reason) {
+		this._fail(reason === undefined || reason === null ? new Error("Writing was aborted") : reason);
+
+		const aborted = Promise.resolve()
+			.then(() => this.sink.abort && this.sink.abort(this.error))
+			.catch(() => {});
+
+		return Promise.all([this.writePromise, aborted]).then(() => {});
+	}
 }
@@ -14,23 +14,100 @@
 
 import ArrayBufferDataStream from './ArrayBufferDataStream.mjs';
 import BlobBuffer from './BlobBuffer.mjs';
+import { SyncAccessHandleSink, createSink } from './sinks.mjs';
 import {
-    EBML_SIZE_UNKNOWN_5_BYTES,
+    describeAudioCodec,
+    describeSubtitleCodec,
+    describeVideoCodec,
+    findAV1SequenceHeader,
+    prepareAV1TemporalUnit
+} from './codecs.mjs';
+import {
+    EBML_SIZE_UNKNOWN,
+    EBML_SIZE_UNKNOWN_8_BYTES,
+    EBMLDate,
     EBMLFloat64,
+    EBMLSignedInt,
+    canRenderSynchronously,
+    createCanvas,
+    createVoidElement,
+    encodeUTF8,
     extend,
     extractKeyframeFromWebP,
+    getImageData,
+    isByteArray,
+    readEncodedChunkData,
     renderAsWebP,
+    renderAsWebPAsync,
+    toUint8Array,
     writeEBML
 } from './utils.mjs';
 
 
 /**
  * @typedef {Object} Frame
- * @property {string} frame - Raw VP8 keyframe data
- * @property {string} alpha - Raw VP8 keyframe with alpha represented as luminance
+ * @property {string|Uint8Array} frame - Raw VP8 frame data
+ * @property {string|Uint8Array} alpha - Raw VP8 frame with alpha represented as luminance
+ * @property {boolean} keyframe - False if this frame depends on earlier frames for decoding
  * @property {Number} duration
  * @property {Number} trackNumber - From 1 to 126 (inclusive)
- * @property {Number} timecode
+ * @property {Number} timestamp - Absolute start time in milliseconds
+ * @property {Number} absoluteTimecode - Timestamp rounded to timecode steps (see timecodeScale)
+ * @property {Number} timecode - Relative to the start of the cluster
+ * @property {Number} referenceTimecode - For delta frames, the timecode of the previous frame relative to this one
+ * @property {?Uint8Array} additional - For subtitles, the BlockAdditional holding the cue's identifier and settings
+ * @property {boolean} [explicitDuration] - Write the duration in a BlockDuration (for subtitles, and the last frame of
+ *                                          each video track)
+ * @property {boolean} [estimatedDuration] - The duration is a guess, which is replaced by the time until the next
+ *                                           frame's timestamp once that arrives
+ */
+
+/**
+ * @typedef {Object} Track
+ * @property {Number} trackNumber - From 1 to 126 (inclusive)
+ * @property {Number} trackUID
+ * @property {Number} trackType - 1 for video, 2 for audio, 0x11 for subtitles
+ * @property {Object} config - The settings the track was created with (see addTrack())
+ * @property {CodecDescription|AudioCodecDescription} codec - Available once the first frame has been added to the
+ *                                                            track, or the header has been written
+ * @property {?String} codecString - For video, the encoder's full codec string, e.g. "vp09.00.10.08"
+ * @property {?Object} codecInitData - Initialization data supplied by the encoder for the CodecPrivate
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Number} frameDuration - For video, the default frame duration in milliseconds
+ * @property {Number} frameCount - Number of frames added to the track so far
+ * @property {Number} nextTimestamp - For video, the timestamp where the next frame begins
+ * @property {Number} lastTimecode - Absolute timecode of the most recently added frame
+ * @property {?Frame} lastFrame - The most recently added frame
+ */
+
+/**
+ * @typedef {Object} TrackHandle
+ * @property {Number} trackNumber
+ * @property {function(Object, Object=): Promise} addFrame - Add an encoded chunk to the track (see addTrack())
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {Number} start - Start time in milliseconds
+ * @property {Number} [end] - End time in milliseconds
+ * @property {String} title
+ * @property {String} [language] - ISO 639-2 language code of the title
+ */
+
+/**
+ * @typedef {Object} Tag
+ * @property {String} name - e.g. "ARTIST"
+ * @property {String} value
+ * @property {?Number} trackNumber - The track the tag describes, or null for tags about the whole video
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {String} name - File name
+ * @property {String} mimeType
+ * @property {Uint8Array} data
+ * @property {String} [description]
  */
 
 /**
@@ -40,19 +117,37 @@ import {
 
 export function WebMWriter(options) {
     let
-        MAX_CLUSTER_DURATION_MSEC = 5000,
-        DEFAULT_TRACK_NUMBER = 1,
+        // Blocks store their timecode relative to their cluster's as a signed 16-bit integer
+        MAX_RELATIVE_TIMECODE = 32767,
+
+        TRACK_TYPE_VIDEO = 1,
+        TRACK_TYPE_AUDIO = 2,
+        TRACK_TYPE_SUBTITLE = 0x11,
 
         writtenHeader = false,
-        videoWidth = 0, videoHeight = 0,
 
         /**
-         * @type {[HTMLCanvasElement]}
+         * @type {Track[]}
+         */
+        tracks = [],
+
+        /**
+         * The track that the addFrame(), addEncodedChunk(), addAudioChunk() and addSubtitle() methods of the writer
+         * itself add to. The video and subtitle tracks are only created once they are first used.
+         *
+         * @type {?Track}
+         */
+        defaultVideoTrack = null,
+        defaultAudioTrack = null,
+        defaultSubtitleTrack = null,
+
+        /**
+         * @type {[HTMLCanvasElement|OffscreenCanvas]}
          */
         alphaBuffer = null,
 
         /**
-         * @type {[CanvasRenderingContext2D]}
+         * @type {[CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D]}
          */
         alphaBufferContext = null,
 
@@ -66,28 +161,109 @@ export function WebMWriter(options) {
          * @type {Frame[]}
          */
         clusterFrameBuffer = [],
-        clusterStartTime = 0,
-        clusterDuration = 0,
+
+        /**
+         * Frames passed to addFrame() which need to be encoded asynchronously are added in order using this chain
+         */
+        frameQueue = Promise.resolve(),
+        pendingFrameCount = 0,
+
+        completion = null, // The Promise returned by complete(), after which nothing more can be added
+        aborted = false,
+
+        clusterStartTime = 0, // Timestamp (in milliseconds) of the earliest frame in the current cluster
+        clusterBufferedBytes = 0, // Size of the frame data in the clusterFrameBuffer
+        segmentEndTime = 0,   // Time where the last frame to finish ends
+
+        seekable = true,      // False if the header can't be filled in at the end, for live streams or destinations
+                              // that can only be appended to
 
         optionDefaults = {
+            container: "webm",   // "webm", or "matroska" to write an .mkv file (which can hold attachments)
+
             quality: 0.95,       // WebM image quality from 0.0 (worst) to 0.99999 (best), 1.00 (WebP lossless) is not supported
 
             transparent: false,      // True if an alpha channel should be included in the video
             alphaQuality: undefined, // Allows you to set the quality level of the alpha channel separately.
                                      // If not specified this defaults to the same value as `quality`.
 
-            fileWriter: null,    // Chrome FileWriter in order to stream to a file instead of buffering to memory (optional)
-            fd: null,            // Node.JS file descriptor to write to instead of buffering (optional)
+            stream: null,        // Node stream.Writable or WritableStream to pipe the video into, e.g. ffmpeg's stdin.
+                                 // Since these can't seek, the video has no SeekHead, and its duration is given by
+                                 // DURATION tags at the end.
+            fileHandle: null,    // FileSystemFileHandle (e.g. from showSaveFilePicker()) or FileSystemWritableFileStream
+                                 // to stream the video to a file instead of buffering to memory (optional)
+            syncAccessHandle: null, // FileSystemSyncAccessHandle of an Origin Private File System file to write to from a
+                                    // Worker, without keeping the video in memory. Pass the file's FileSystemFileHandle
+                                    // as `fileHandle` too for complete() to resolve with the finished File (optional)
+            fileWriter: null,    // Chrome's legacy FileWriter, which does the same (deprecated, optional)
+            fd: null,            // Node.JS file descriptor or fs/promises FileHandle to write to instead of buffering
+                                 // (optional)
+            fs: null,            // Node's fs module, for writing to `fd` (defaults to the built-in module)
+            sink: null,          // Any other destination for the video, an object with write(offset, bytes) and
+                                 // close() methods (see the Sink type in sinks.mjs)
+
+            live: false,         // Write a stream that is never seeked back into (no SeekHead, Cues or Duration, and
+                                 // the Segment and Clusters have an unknown size), for broadcasting as it's written
+            ondata: null,        // In live mode, a function that is called with each finished part of the stream (a
+                                 // Uint8Array). If given, the video isn't also buffered in memory.
+
+            // For playback using Media Source Extensions while the video is being written, these functions are called
+            // with the initialization segment, then with a media segment for each cluster (as Uint8Arrays to pass to
+            // SourceBuffer.appendBuffer()):
+            oninitsegment: null,
+            onmediasegment: null,
+
+            // Begin a new cluster once the current one lasts maxClusterDuration milliseconds, or once it would
+            // exceed maxClusterSize bytes of frame data (0 for no limit). When alignClustersToKeyframes is set, clusters
+            // only begin at keyframes of the first video track so that each can be decoded by itself, so they may run
+            // longer than these limits.
+            maxClusterDuration: 5000,
+            maxClusterSize: 0,
+            alignClustersToKeyframes: true,
+
+            reserveCuesSpace: 0, // Bytes to set aside in front of the first cluster for the Cues, so players can seek
+                                 // without first fetching the end of the file ("fast start" for progressive download).
+                                 // Each cue point needs about 30 bytes. If the Cues don't fit, they're written at the
+                                 // end of the file as usual.
+
+            highWaterMark: 16,   // Number of writes to the destination that may be pending before the promises
+                                 // returned when adding frames (and `ready`) wait for them to finish
+
+            width: 0,            // Video dimensions, only needed by addEncodedChunk() when the encoder doesn't
+            height: 0,           // supply a decoderConfig for its first chunk
+
+            codec: "vp8",        // Video codec of the chunks given to addEncodedChunk(): "vp8", "vp9" or "av1"
+                                 // (addFrame() always produces VP8)
+            codecOptions: null,  // Codec settings for the track header, for VP9: {profile, level, bitDepth,
+                                 // chromaSubsampling}, for AV1: {profile, level, tier, bitDepth, ...}. By default
+                                 // these are taken from the encoder's decoderConfig.
 
             // You must supply one of:
             frameDuration: null, // Duration of frames in milliseconds
             frameRate: null,     // Number of frames per second
+
+            timecodeScale: 1e6,  // Length of one timecode tick in nanoseconds (1e6 = millisecond precision, 1e3 =
+                                 // microsecond precision). Block timecodes are 16-bit, so a finer scale means shorter
+                                 // clusters: 32.7 seconds at 1e6, but only 32.7 milliseconds at 1e3.
+
+            subtitles: null,     // Settings for the text track that addSubtitle() adds cues to, e.g. {language: "eng",
+                                 // kind: "captions"}. Needed if the first subtitle arrives after the video has begun.
+
+            title: null,         // Title of the video
+            date: null,          // Date (or milliseconds since the Unix epoch) when the video was created
+            tags: null,          // Tags describing the whole video, e.g. {ARTIST: "Jane", COMMENT: "..."}
+
+            audio: null,         // Include an audio track alongside the default video track, e.g. {codec: "opus",
+                                 // sampleRate: 48000, channels: 2}, or {codec: "vorbis", headers: [identification,
+                                 // comment, setup]}, then supply its packets using addAudioChunk()
         },
 
         seekPoints = {
             Cues: {id: new Uint8Array([0x1C, 0x53, 0xBB, 0x6B]), positionEBML: null},
             SegmentInfo: {id: new Uint8Array([0x15, 0x49, 0xA9, 0x66]), positionEBML: null},
             Tracks: {id: new Uint8Array([0x16, 0x54, 0xAE, 0x6B]), positionEBML: null},
+            Chapters: {id: new Uint8Array([0x10, 0x43, 0xA7, 0x70]), positionEBML: null},
+            Tags: {id: new Uint8Array([0x12, 0x54, 0xC3, 0x67]), positionEBML: null},
         },
 
         ebmlSegment, // Root element of the EBML document
@@ -101,18 +277,108 @@ export function WebMWriter(options) {
 
         cues = [],
 
-        blobBuffer = new BlobBuffer(options.fileWriter || options.fd);
+        /**
+         * The Void element which holds the space set aside by the reserveCuesSpace option
+         *
+         * @type {?Object}
+         */
+        cuesReservation = null,
+
+        /**
+         * @type {Chapter[]}
+         */
+        chapters = [],
+
+        /**
+         * Tags added with addTag(), the tags from the options and track settings are collected by writeTags()
+         *
+         * @type {Tag[]}
+         */
+        tags = [],
+
+        /**
+         * @type {Attachment[]}
+         */
+        attachments = [],
+
+        /**
+         * Created once the options have been validated
+         *
+         * @type {BlobBuffer}
+         */
+        blobBuffer = null;
 
     function fileOffsetToSegmentRelative(fileOffset) {
         return fileOffset - ebmlSegment.dataOffset;
     }
 
     /**
-     * Extracts the transparency channel from the supplied canvas and uses it to create a VP8 alpha channel bitstream.
+     * Append the given data to the end of the file. In live mode, this is also passed on to the ondata callback, since
+     * it will never be changed.
+     *
+     * @param {Uint8Array} data
+     */
+    function writeToStream(data) {
+        blobBuffer.write(data);
+
+        if (options.live && options.ondata) {
+            options.ondata(data);
+        }
+    }
+
+    /**
+     * Throw the error that stopped the video, if writing it failed or it was aborted, so that frames added afterwards
+     * fail right away.
+     */
+    function checkNotFailed() {
+        if (blobBuffer.error) {
+            throw blobBuffer.error;
+        }
+    }
+
+    /**
+     * Throw if the video has failed, or has been completed, since anything added afterwards would never be written.
+     */
+    function checkNotStopped() {
+        checkNotFailed();
+
+        if (completion) {
+            throw new Error("The video has already been completed");
+        }
+    }
+
+    /**
+     * Record the position of the given top-level element in its SeekHead entry (unseekable streams don't have a
+     * SeekHead).
+     *
+     * @param {String} name - Key of seekPoints
+     * @param {Object} element - The written EBML element
+     */
+    function updateSeekPoint(name, element) {
+        if (seekHead) {
+            seekPoints[name].positionEBML.data = fileOffsetToSegmentRelative(element.offset);
+        }
+    }
+
+    /**
+     * Convert a time in milliseconds to a timecode, counted in ticks of the timecodeScale.
+     *
+     * Every frame's timecode is rounded from its own exact timestamp, so rounding errors don't add up over time.
+     *
+     * @param {Number} time
+     *
+     * @return {Number}
+     */
+    function toTimecode(time) {
+        return Math.round(time * 1e6 / options.timecodeScale);
+    }
+
+    /**
+     * Extracts the transparency channel from the supplied image and uses it to create a VP8 alpha channel bitstream.
      *
-     * @param {HTMLCanvasElement} source
+     * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData} source
      *
-     * @return {HTMLCanvasElement}
+     * @return {HTMLCanvasElement|OffscreenCanvas}
      */
     function convertAlphaToGrayscaleImage(source) {
         if (
@@ -120,9 +386,7 @@ export function WebMWriter(options) {
             alphaBuffer.width !== source.width ||
             alphaBuffer.height !== source.height
         ) {
-            alphaBuffer = document.createElement("canvas");
-            alphaBuffer.width = source.width;
-            alphaBuffer.height = source.height;
+            alphaBuffer = createCanvas(source.width, source.height);
 
             alphaBufferContext = alphaBuffer.getContext("2d");
             alphaBufferData = alphaBufferContext.createImageData(
@@ -132,8 +396,7 @@ export function WebMWriter(options) {
         }
 
         let
-            sourceContext = source.getContext("2d"),
-            sourceData = sourceContext.getImageData(0, 0, source.width, source.height).data,
+            sourceData = getImageData(source).data,
             destData = alphaBufferData.data,
             dstCursor = 0,
             srcEnd = source.width * source.height * 4;
@@ -161,14 +424,15 @@ export function WebMWriter(options) {
     /**
      * Create a SeekHead element with descriptors for the points in the global seekPoints array.
      *
-     * 5 bytes of position values are reserved for each node, which lie at the offset point.positionEBML.dataOffset,
-     * to be overwritten later.
+     * 8 bytes of position values are reserved for each node, which lie at the offset point.positionEBML.dataOffset,
+     * to be overwritten later. Entries for elements that don't end up being written are replaced by Void elements by
+     * rewriteSeekHead().
      */
     function createSeekHead() {
         let
             seekPositionEBMLTemplate = {
                 "id": 0x53AC, // SeekPosition
-                "size": 5, // Allows for 32GB video files
+                "size": 8, // Allows for 64-bit file offsets
                 "data": 0 // We'll overwrite this when the file is complete
             },
 
@@ -182,8 +446,7 @@ export function WebMWriter(options) {
                 seekPoint = seekPoints[name];
 
             seekPoint.positionEBML = Object.create(seekPositionEBMLTemplate);
-
-            result.data.push({
+            seekPoint.seekEBML = {
                 "id": 0x4DBB, // Seek
                 "data": [
                     {
@@ -192,9 +455,143 @@ export function WebMWriter(options) {
                     },
                     seekPoint.positionEBML
                 ]
+            };
+
+            result.data.push(seekPoint.seekEBML);
+        }
+
+        return result;
+    }
+
+    /**
+     * Create the Video element that describes a video track.
+     *
+     * @param {Track} track
+     */
+    function createVideoProperties(track) {
+        let
+            result = {
+                "id": 0xe0,  // Video
+                "data": [
+                    {
+                        "id": 0xb0, // PixelWidth
+                        "data": track.width
+                    },
+                    {
+                        "id": 0xba, // PixelHeight
+                        "data": track.height
+                    }
+                ]
+            };
+
+        if (track.config.transparent) {
+            result.data.push(
+                {
+                    "id": 0x53C0, // AlphaMode
+                    "data": 1
+                }
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Create the Audio element that describes an audio track.
+     *
+     * @param {Track} track
+     */
+    function createAudioProperties(track) {
+        return {
+            "id": 0xe1, // Audio
+            "data": [
+                {
+                    "id": 0xb5, // SamplingFrequency
+                    "data": new EBMLFloat64(track.codec.sampleRate)
+                },
+                {
+                    "id": 0x9f, // Channels
+                    "data": track.codec.channels
+                }
+            ]
+        };
+    }
+
+    /**
+     * Create a TrackEntry element for the given track (its codec must already be described).
+     *
+     * @param {Track} track
+     */
+    function createTrackEntry(track) {
+        let
+            result = {
+                "id": 0xae, // TrackEntry
+                "data": [
+                    {
+                        "id": 0xd7, // TrackNumber
+                        "data": track.trackNumber
+                    },
+                    {
+                        "id": 0x73c5, // TrackUID
+                        "data": track.trackUID
+                    },
+                    {
+                        "id": 0x9c, // FlagLacing
+                        "data": 0
+                    },
+                    {
+                        "id": 0x22b59c, // Language
+                        "data": track.config.language || "und"
+                    },
+                    {
+                        "id": 0x86, // CodecID
+                        "data": track.codec.id
+                    },
+                    {
+                        "id": 0x258688, // CodecName
+                        "data": track.codec.name
+                    },
+                    {
+                        "id": 0x83, // TrackType
+                        "data": track.trackType
+                    }
+                ]
+            };
+
+        if (track.config.name) {
+            result.data.push({
+                "id": 0x536e, // Name
+                "data": encodeUTF8(track.config.name)
+            });
+        }
+
+        if (track.codec.codecPrivate) {
+            result.data.push({
+                "id": 0x63a2, // CodecPrivate
+                "data": track.codec.codecPrivate
+            });
+        }
+
+        if (track.codec.codecDelay) {
+            result.data.push({
+                "id": 0x56aa, // CodecDelay
+                "data": track.codec.codecDelay
+            });
+        }
+
+        if (track.codec.seekPreRoll) {
+            result.data.push({
+                "id": 0x56bb, // SeekPreRoll
+                "data": track.codec.seekPreRoll
             });
         }
 
+        if (track.trackType === TRACK_TYPE_VIDEO) {
+            result.data.push(createVideoProperties(track));
+        } else if (track.trackType === TRACK_TYPE_AUDIO) {
+            result.data.push(createAudioProperties(track));
+        }
+
         return result;
     }
 
@@ -202,7 +599,9 @@ export function WebMWriter(options) {
      * Write the WebM file header to the stream.
      */
     function writeHeader() {
-        seekHead = createSeekHead();
+        if (seekable) {
+            seekHead = createSeekHead();
+        }
 
         let
             ebmlHeader = {
@@ -226,11 +625,11 @@ export function WebMWriter(options) {
                     },
                     {
                         "id": 0x4282, // DocType
-                        "data": "webm"
+                        "data": options.container
                     },
                     {
                         "id": 0x4287, // DocTypeVersion
-                        "data": 2
+                        "data": options.container === "matroska" ? 4 : 2
                     },
                     {
                         "id": 0x4285, // DocTypeReadVersion
@@ -244,7 +643,7 @@ export function WebMWriter(options) {
                 "data": [
                     {
                         "id": 0x2ad7b1, // TimecodeScale
-                        "data": 1e6 // Times will be in miliseconds (1e6 nanoseconds per step = 1ms)
+                        "data": options.timecodeScale // Nanoseconds per timecode step (1e6 = 1ms)
                     },
                     {
                         "id": 0x4d80, // MuxingApp
@@ -253,130 +652,153 @@ export function WebMWriter(options) {
                     {
                         "id": 0x5741, // WritingApp
                         "data": "webm-writer-js"
-                    },
-                    segmentDuration // To be filled in later
+                    }
                 ]
-            },
+            };
 
-            videoProperties = [
-                {
-                    "id": 0xb0, // PixelWidth
-                    "data": videoWidth
-                },
-                {
-                    "id": 0xba, // PixelHeight
-                    "data": videoHeight
-                }
-            ];
+        /* The duration of a live stream isn't known until it ends, when it's too late to write it (for other unseekable
+         * streams, it goes in the tags at the end instead)
+         */
+        if (seekable) {
+            segmentInfo.data.push(segmentDuration); // To be filled in later
+        }
 
-        if (options.transparent) {
-            videoProperties.push(
-                {
-                    "id": 0x53C0, // AlphaMode
-                    "data": 1
-                }
-            );
+        if (options.title) {
+            segmentInfo.data.push({
+                "id": 0x7BA9, // Title
+                "data": encodeUTF8(options.title)
+            });
+        }
+
+        if (options.date != null) {
+            segmentInfo.data.push({
+                "id": 0x4461, // DateUTC
+                "data": new EBMLDate(options.date)
+            });
         }
 
+        // Tracks that never received a frame can only be described using their settings
+        tracks.forEach(describeTrack);
+
         let
-            tracks = {
+            tracksElement = {
                 "id": 0x1654ae6b, // Tracks
-                "data": [
-                    {
-                        "id": 0xae, // TrackEntry
-                        "data": [
-                            {
-                                "id": 0xd7, // TrackNumber
-                                "data": DEFAULT_TRACK_NUMBER
-                            },
-                            {
-                                "id": 0x73c5, // TrackUID
-                                "data": DEFAULT_TRACK_NUMBER
-                            },
-                            {
-                                "id": 0x9c, // FlagLacing
-                                "data": 0
-                            },
-                            {
-                                "id": 0x22b59c, // Language
-                                "data": "und"
-                            },
-                            {
-                                "id": 0x86, // CodecID
-                                "data": "V_VP8"
-                            },
-                            {
-                                "id": 0x258688, // CodecName
-                                "data": "VP8"
-                            },
-                            {
-                                "id": 0x83, // TrackType
-                                "data": 1
-                            },
-                            {
-                                "id": 0xe0,  // Video
-                                "data": videoProperties
-                            }
-                        ]
-                    }
-                ]
+                "data": tracks.map(createTrackEntry)
             };
 
         ebmlSegment = {
             "id": 0x18538067, // Segment
-            "size": EBML_SIZE_UNKNOWN_5_BYTES, // We'll seek back and fill this in at completion
+            // We'll seek back and fill this in at completion, unless the stream is unseekable
+            "size": seekable ? EBML_SIZE_UNKNOWN_8_BYTES : EBML_SIZE_UNKNOWN,
             "data": [
-                seekHead,
                 segmentInfo,
-                tracks,
+                tracksElement,
             ]
         };
 
+        if (seekHead) {
+            ebmlSegment.data.unshift(seekHead);
+        }
+
         let
-            bufferStream = new ArrayBufferDataStream(256);
+            codecPrivateSize = tracks.reduce((total, track) => total + (track.codec.codecPrivate ? track.codec.codecPrivate.length : 0), 0),
+            titleSize = options.title ? encodeUTF8(options.title).length : 0,
+            trackNamesSize = tracks.reduce(
+                (total, track) => total + (track.config.name ? encodeUTF8(track.config.name).length : 0), 0
+            ),
+            headerSize = 256 + Object.keys(seekPoints).length * 32 + tracks.length * 128 + codecPrivateSize + titleSize
+                + trackNamesSize,
+            bufferStream = new ArrayBufferDataStream(headerSize);
 
         writeEBML(bufferStream, blobBuffer.pos, [ebmlHeader, ebmlSegment]);
-        blobBuffer.write(bufferStream.getAsDataArray());
+        writeToStream(bufferStream.getAsDataArray());
 
         // Now we know where these top-level elements lie in the file:
-        seekPoints.SegmentInfo.positionEBML.data = fileOffsetToSegmentRelative(segmentInfo.offset);
-        seekPoints.Tracks.positionEBML.data = fileOffsetToSegmentRelative(tracks.offset);
+        updateSeekPoint("SegmentInfo", segmentInfo);
+        updateSeekPoint("Tracks", tracksElement);
+
+        if (options.reserveCuesSpace > 0 && seekable) {
+            let
+                reservationStream = new ArrayBufferDataStream(options.reserveCuesSpace);
+
+            cuesReservation = createVoidElement(options.reserveCuesSpace);
+
+            writeEBML(reservationStream, blobBuffer.pos, cuesReservation);
+            writeToStream(reservationStream.getAsDataArray());
+        }
 
         writtenHeader = true;
+
+        if (options.oninitsegment) {
+            options.oninitsegment(createInitSegment(ebmlHeader, segmentInfo, tracksElement, headerSize));
+        }
     }
 
     /**
-     * Create a BlockGroup element to hold the given keyframe (used when alpha support is required)
+     * Create a Media Source Extensions initialization segment, which is the start of the file without the parts that
+     * are only filled in at completion (the SeekHead, the Duration, and the size of the Segment).
      *
-     * @param {Frame} keyframe
+     * Call after the header has been written, since this reuses (and so moves) its elements.
      *
-     * @return A BlockGroup EBML element
+     * @param {Object} ebmlHeader
+     * @param {Object} segmentInfo
+     * @param {Object} tracksElement
+     * @param {Number} headerSize - Size of the buffer the header was written to
+     *
+     * @return {Uint8Array}
      */
-    function createBlockGroupForTransparentKeyframe(keyframe) {
+    function createInitSegment(ebmlHeader, segmentInfo, tracksElement, headerSize) {
         let
-            block, blockAdditions,
+            bufferStream = new ArrayBufferDataStream(headerSize);
 
-            bufferStream = new ArrayBufferDataStream(1 + 2 + 1);
+        writeEBML(bufferStream, 0, [
+            ebmlHeader,
+            {
+                "id": 0x18538067, // Segment
+                "size": EBML_SIZE_UNKNOWN,
+                "data": [
+                    {
+                        "id": 0x1549a966, // Info
+                        "data": segmentInfo.data.filter(element => element !== segmentDuration)
+                    },
+                    tracksElement
+                ]
+            }
+        ]);
+
+        return bufferStream.getAsDataArray();
+    }
 
-        // Create a Block to hold the image data:
+    /**
+     * Write the header of a Block or SimpleBlock for the given frame (track number, relative timecode, flags).
+     *
+     * @param {Frame} frame
+     * @param {Number} flags
+     *
+     * @return {Uint8Array}
+     */
+    function createBlockHeader(frame, flags) {
+        let
+            bufferStream = new ArrayBufferDataStream(1 + 2 + 1);
 
-        if (!(keyframe.trackNumber > 0 && keyframe.trackNumber < 127)) {
+        if (!(frame.trackNumber > 0 && frame.trackNumber < 127)) {
             throw new Error("TrackNumber must be > 0 and < 127");
         }
 
-        bufferStream.writeEBMLVarInt(keyframe.trackNumber); // Always 1 byte since we limit the range of trackNumber
-        bufferStream.writeU16BE(keyframe.timecode);
-        bufferStream.writeByte(0); // Flags byte
+        bufferStream.writeEBMLVarInt(frame.trackNumber); // Always 1 byte since we limit the range of trackNumber
+        bufferStream.writeU16BE(frame.timecode);
+        bufferStream.writeByte(flags);
 
-        block = {
-            "id": 0xA1, // Block
-            "data": [
-                bufferStream.getAsDataArray(),
-                keyframe.frame
-            ]
-        };
+        return bufferStream.getAsDataArray();
+    }
 
-        blockAdditions = {
+    /**
+     * Create a BlockAdditions element holding the given data.
+     *
+     * @param {Uint8Array} additional
+     */
+    function createBlockAdditions(additional) {
+        return {
             "id": 0x75A1, // BlockAdditions
             "data": [
                 {
@@ -388,65 +810,89 @@ export function WebMWriter(options) {
                         },
                         {
                             "id": 0xA5, // BlockAdditional
-                            "data": keyframe.alpha // The actual alpha channel image
+                            "data": additional
                         }
                     ]
                 }
             ]
         };
-
-        return {
-            "id": 0xA0, // BlockGroup
-            "data": [
-                block,
-                blockAdditions
-            ]
-        };
     }
 
     /**
-     * Create a SimpleBlock element to hold the given keyframe.
+     * Create a BlockGroup element to hold the given frame, for frames that need an alpha channel, a BlockAdditional
+     * or an explicit BlockDuration, none of which a SimpleBlock can carry.
      *
-     * @param {Frame} keyframe
+     * @param {Frame} frame
      *
-     * @return A SimpleBlock EBML element.
+     * @return A BlockGroup EBML element
      */
-    function createSimpleBlockForKeyframe(keyframe) {
+    function createBlockGroup(frame) {
         let
-            bufferStream = new ArrayBufferDataStream(1 + 2 + 1);
+            additional = frame.alpha || frame.additional,
+            result = {
+                "id": 0xA0, // BlockGroup
+                "data": [
+                    {
+                        // Blocks have no keyframe flag, a ReferenceBlock is used instead
+                        "id": 0xA1, // Block
+                        "data": [
+                            createBlockHeader(frame, 0),
+                            frame.frame
+                        ]
+                    }
+                ]
+            };
 
-        if (!(keyframe.trackNumber > 0 && keyframe.trackNumber < 127)) {
-            throw new Error("TrackNumber must be > 0 and < 127");
+        if (frame.explicitDuration) {
+            result.data.push({
+                "id": 0x9B, // BlockDuration
+                "data": toTimecode(frame.timestamp + frame.duration) - frame.absoluteTimecode
+            });
         }
 
-        bufferStream.writeEBMLVarInt(keyframe.trackNumber); // Always 1 byte since we limit the range of trackNumber
-        bufferStream.writeU16BE(keyframe.timecode);
+        // e.g. the actual alpha channel image
+        if (additional) {
+            result.data.push(createBlockAdditions(additional));
+        }
 
-        // Flags byte
-        bufferStream.writeByte(
-            1 << 7 // Keyframe
-        );
+        if (!frame.keyframe) {
+            result.data.push({
+                "id": 0xFB, // ReferenceBlock
+                "data": new EBMLSignedInt(frame.referenceTimecode)
+            });
+        }
 
+        return result;
+    }
+
+    /**
+     * Create a SimpleBlock element to hold the given frame.
+     *
+     * @param {Frame} frame
+     *
+     * @return A SimpleBlock EBML element.
+     */
+    function createSimpleBlock(frame) {
         return {
             "id": 0xA3, // SimpleBlock
             "data": [
-                bufferStream.getAsDataArray(),
-                keyframe.frame
+                createBlockHeader(frame, frame.keyframe ? 1 << 7 : 0),
+                frame.frame
             ]
         };
     }
 
     /**
-     * Create either a SimpleBlock or BlockGroup (if alpha is required) for the given keyframe.
+     * Create either a SimpleBlock or BlockGroup (if alpha or a duration is required) for the given frame.
      *
-     * @param {Frame} keyframe
+     * @param {Frame} frame
      */
-    function createContainerForKeyframe(keyframe) {
-        if (keyframe.alpha) {
-            return createBlockGroupForTransparentKeyframe(keyframe);
+    function createContainerForFrame(frame) {
+        if (frame.alpha || frame.additional || frame.explicitDuration) {
+            return createBlockGroup(frame);
         }
 
-        return createSimpleBlockForKeyframe(keyframe);
+        return createSimpleBlock(frame);
     }
 
     /**
@@ -457,137 +903,1032 @@ export function WebMWriter(options) {
      * Returns an EBML element.
      */
     function createCluster(cluster) {
-        return {
-            "id": 0x1f43b675,
-            "data": [
-                {
-                    "id": 0xe7, // Timecode
-                    "data": Math.round(cluster.timecode)
-                }
-            ]
-        };
+        let
+            result = {
+                "id": 0x1f43b675,
+                "data": [
+                    {
+                        "id": 0xe7, // Timecode
+                        "data": Math.round(cluster.timecode)
+                    }
+                ]
+            };
+
+        // Live clusters are passed on as soon as they're written, so we can't rely on the writer to patch in their size
+        if (options.live) {
+            result.size = EBML_SIZE_UNKNOWN;
+        }
+
+        return result;
     }
 
-    function addCuePoint(trackIndex, clusterTime, clusterFileOffset) {
+    /**
+     * Add a cue for the given keyframe, which points a player seeking to it at its exact block. Cues for different
+     * tracks at the same time share a CuePoint.
+     *
+     * @param {Frame} keyframe
+     * @param {Object} cluster - The written Cluster element that holds the keyframe
+     * @param {Object} block - The keyframe's written SimpleBlock or BlockGroup element
+     * @param {Number} blockNumber - Position of the block in the cluster, counting from 1
+     */
+    function addCuePoint(keyframe, cluster, block, blockNumber) {
+        let
+            cueTime = keyframe.absoluteTimecode,
+            trackPositions = {
+                "id": 0xB7, // CueTrackPositions
+                "data": [
+                    {
+                        "id": 0xF7, // CueTrack
+                        "data": keyframe.trackNumber
+                    },
+                    {
+                        "id": 0xF1, // CueClusterPosition
+                        "data": fileOffsetToSegmentRelative(cluster.offset)
+                    },
+                    {
+                        "id": 0xF0, // CueRelativePosition
+                        "data": block.offset - cluster.dataOffset
+                    }
+                ]
+            },
+            duration = toTimecode(keyframe.timestamp + keyframe.duration) - cueTime,
+            lastCue = cues[cues.length - 1];
+
+        if (duration > 0) {
+            trackPositions.data.push({
+                "id": 0xB2, // CueDuration
+                "data": duration
+            });
+        }
+
+        trackPositions.data.push({
+            "id": 0x5378, // CueBlockNumber
+            "data": blockNumber
+        });
+
+        if (lastCue && lastCue.data[0].data === cueTime) {
+            lastCue.data.push(trackPositions);
+            return;
+        }
+
         cues.push({
             "id": 0xBB, // Cue
             "data": [
                 {
                     "id": 0xB3, // CueTime
-                    "data": clusterTime
+                    "data": cueTime
                 },
-                {
-                    "id": 0xB7, // CueTrackPositions
+                trackPositions
+            ]
+        });
+    }
+
+    /**
+     * Write a Cues element to the blobStream using the global `cues` array of CuePoints (use addCuePoint()).
+     * The seek entry for the Cues in the SeekHead is updated.
+     */
+    function writeCues() {
+        let
+            ebml = {
+                "id": 0x1C53BB6B,
+                "data": cues
+            },
+
+            // Pretty crude estimate of the buffer size we'll need (each CuePoint holds 1 or more CueTrackPositions)
+            cuesSize = 16 + cues.reduce((total, cue) => total + cue.data.length * 48, 0),
+            cuesBuffer = new ArrayBufferDataStream(cuesSize);
+
+        if (cuesReservation && writeReservedCues(ebml, cuesSize)) {
+            return;
+        }
+
+        writeEBML(cuesBuffer, blobBuffer.pos, ebml);
+        writeToStream(cuesBuffer.getAsDataArray());
+
+        // Now we know where the Cues element has ended up, we can update the SeekHead
+        updateSeekPoint("Cues", ebml);
+    }
+
+    /**
+     * Try to write the Cues into the space set aside for them by the reserveCuesSpace option, with a Void element
+     * taking up whatever space is left over.
+     *
+     * @param {Object} ebml - The Cues element
+     * @param {Number} cuesSize - Estimated size of the Cues element
+     *
+     * @return {boolean} False if the Cues didn't fit
+     */
+    function writeReservedCues(ebml, cuesSize) {
+        let
+            reservedSize = options.reserveCuesSpace,
+            buffer = new ArrayBufferDataStream(Math.max(cuesSize, reservedSize)),
+            oldPos = blobBuffer.pos,
+            spareSize;
+
+        writeEBML(buffer, cuesReservation.offset, ebml);
+
+        spareSize = reservedSize - buffer.pos;
+
+        // A Void element needs at least 2 bytes, so a single spare byte can't be filled in
+        if (spareSize < 0 || spareSize === 1) {
+            return false;
+        }
+
+        if (spareSize > 0) {
+            writeEBML(buffer, cuesReservation.offset, createVoidElement(spareSize));
+        }
+
+        blobBuffer.seek(cuesReservation.offset);
+        blobBuffer.write(buffer.getAsDataArray());
+        blobBuffer.seek(oldPos);
+
+        updateSeekPoint("Cues", ebml);
+
+        return true;
+    }
+
+    /**
+     * Write a Chapters element holding the chapters from addChapter() to the blobStream, and update its entry in the
+     * SeekHead.
+     */
+    function writeChapters() {
+        chapters.sort((a, b) => a.start - b.start);
+
+        let
+            atoms = chapters.map((chapter, index) => {
+                let
+                    // Chapters without an end last until the next one begins, or until the end of the video
+                    end = chapter.end !== undefined ? chapter.end
+                        : index + 1 < chapters.length ? chapters[index + 1].start
+                        : Math.max(segmentEndTime, chapter.start);
+
+                return {
+                    "id": 0xB6, // ChapterAtom
                     "data": [
                         {
-                            "id": 0xF7, // CueTrack
-                            "data": trackIndex
+                            "id": 0x73C4, // ChapterUID
+                            "data": index + 1
+                        },
+                        {
+                            "id": 0x91, // ChapterTimeStart
+                            "data": Math.round(chapter.start * 1e6) // Always in nanoseconds
                         },
                         {
-                            "id": 0xF1, // CueClusterPosition
-                            "data": fileOffsetToSegmentRelative(clusterFileOffset)
+                            "id": 0x92, // ChapterTimeEnd
+                            "data": Math.round(end * 1e6)
+                        },
+                        {
+                            "id": 0x80, // ChapterDisplay
+                            "data": [
+                                {
+                                    "id": 0x85, // ChapString
+                                    "data": encodeUTF8(chapter.title)
+                                },
+                                {
+                                    "id": 0x437C, // ChapLanguage
+                                    "data": chapter.language || "und"
+                                }
+                            ]
                         }
                     ]
+                };
+            }),
+
+            ebml = {
+                "id": 0x1043A770, // Chapters
+                "data": [
+                    {
+                        "id": 0x45B9, // EditionEntry
+                        "data": atoms
+                    }
+                ]
+            },
+
+            chaptersBuffer = new ArrayBufferDataStream(
+                32 + atoms.reduce((total, atom) => total + 64 + atom.data[3].data[0].data.length, 0)
+            );
+
+        writeEBML(chaptersBuffer, blobBuffer.pos, ebml);
+        writeToStream(chaptersBuffer.getAsDataArray());
+
+        updateSeekPoint("Chapters", ebml);
+    }
+
+    /**
+     * Create a SimpleTag element for each name/value pair.
+     *
+     * @param {Tag[]} tagList
+     */
+    function createSimpleTags(tagList) {
+        return tagList.map(tag => ({
+            "id": 0x67C8, // SimpleTag
+            "data": [
+                {
+                    "id": 0x45A3, // TagName
+                    "data": encodeUTF8(tag.name)
+                },
+                {
+                    "id": 0x4487, // TagString
+                    "data": encodeUTF8(String(tag.value))
                 }
             ]
-        });
+        }));
+    }
+
+    /**
+     * Collect the tags of the video and its tracks, with those from addTag() last.
+     *
+     * @return {Tag[]}
+     */
+    function collectTags() {
+        let
+            result = [],
+            addAll = (tagObject, trackNumber) => {
+                for (let name in tagObject || {}) {
+                    result.push({name: name, value: tagObject[name], trackNumber: trackNumber});
+                }
+            };
+
+        addAll(options.tags, null);
+        tracks.forEach(track => addAll(track.config.tags, track.trackNumber));
+
+        // Without a Duration in the header, players can still find out how long each track lasts from these tags
+        if (!seekable && !options.live) {
+            for (let track of tracks) {
+                if (track.lastFrame) {
+                    result.push({
+                        name: "DURATION",
+                        value: formatTagDuration(track.lastFrame.timestamp + track.lastFrame.duration),
+                        trackNumber: track.trackNumber
+                    });
+                }
+            }
+        }
+
+        return result.concat(tags);
+    }
+
+    /**
+     * Format a time in milliseconds for a DURATION tag, as HH:MM:SS.nnnnnnnnn.
+     *
+     * @param {Number} time
+     *
+     * @return {String}
+     */
+    function formatTagDuration(time) {
+        let
+            nanoseconds = Math.round(time * 1e6),
+            hours = Math.floor(nanoseconds / 3600e9),
+            minutes = Math.floor(nanoseconds / 60e9) % 60,
+            seconds = (nanoseconds % 60e9) / 1e9;
+
+        return String(hours).padStart(2, "0") + ":" + String(minutes).padStart(2, "0") + ":"
+            + seconds.toFixed(9).padStart(12, "0");
+    }
+
+    /**
+     * Write a Tags element to the blobStream, with one Tag for the whole video and one for each track that has tags,
+     * and update its entry in the SeekHead.
+     *
+     * @param {Tag[]} tagList
+     */
+    function writeTags(tagList) {
+        let
+            targets = [null].concat(tracks.map(track => track.trackNumber)),
+
+            ebml = {
+                "id": 0x1254C367, // Tags
+                "data": []
+            };
+
+        for (let trackNumber of targets) {
+            let
+                targetTags = tagList.filter(tag => tag.trackNumber === trackNumber);
+
+            if (targetTags.length === 0) {
+                continue;
+            }
+
+            ebml.data.push({
+                "id": 0x7373, // Tag
+                "data": [
+                    {
+                        "id": 0x63C0, // Targets
+                        "data": trackNumber === null
+                            ? [{
+                                "id": 0x68CA, // TargetTypeValue
+                                "data": 50 // Album/movie level, i.e. the whole video
+                            }]
+                            : [{
+                                "id": 0x63C5, // TagTrackUID
+                                "data": tracks[trackNumber - 1].trackUID
+                            }]
+                    }
+                ].concat(createSimpleTags(targetTags))
+            });
+        }
+
+        let
+            tagsBuffer = new ArrayBufferDataStream(
+                16 + ebml.data.length * 32 + tagList.reduce(
+                    (total, tag) => total + 32 + (tag.name.length + String(tag.value).length) * 3, 0
+                )
+            );
+
+        writeEBML(tagsBuffer, blobBuffer.pos, ebml);
+        writeToStream(tagsBuffer.getAsDataArray());
+
+        updateSeekPoint("Tags", ebml);
+    }
+
+    /**
+     * Write an Attachments element holding the files from addAttachment() to the blobStream, and update its entry in
+     * the SeekHead.
+     */
+    function writeAttachments() {
+        let
+            ebml = {
+                "id": 0x1941A469, // Attachments
+                "data": attachments.map((attachment, index) => {
+                    let
+                        attachedFile = {
+                            "id": 0x61A7, // AttachedFile
+                            "data": [
+                                {
+                                    "id": 0x466E, // FileName
+                                    "data": encodeUTF8(attachment.name)
+                                },
+                                {
+                                    "id": 0x4660, // FileMimeType
+                                    "data": attachment.mimeType
+                                },
+                                {
+                                    "id": 0x465C, // FileData
+                                    "data": attachment.data
+                                },
+                                {
+                                    "id": 0x46AE, // FileUID
+                                    "data": index + 1
+                                }
+                            ]
+                        };
+
+                    if (attachment.description) {
+                        attachedFile.data.unshift({
+                            "id": 0x467E, // FileDescription
+                            "data": encodeUTF8(attachment.description)
+                        });
+                    }
+
+                    return attachedFile;
+                })
+            },
+
+            // Text takes up to 3 bytes per character as UTF-8
+            attachmentsBuffer = new ArrayBufferDataStream(16 + attachments.reduce(
+                (total, attachment) => total + 64 + attachment.data.length
+                    + (attachment.name + attachment.mimeType + (attachment.description || "")).length * 3,
+                0
+            ));
+
+        writeEBML(attachmentsBuffer, blobBuffer.pos, ebml);
+        writeToStream(attachmentsBuffer.getAsDataArray());
+
+        updateSeekPoint("Attachments", ebml);
+    }
+
+    /**
+     * Get the number of bytes of frame data the given frame will add to its cluster.
+     *
+     * @param {Frame} frame
+     */
+    function measureFrame(frame) {
+        return frame.frame.length + (frame.alpha ? frame.alpha.length : 0)
+            + (frame.additional ? frame.additional.length : 0);
+    }
+
+    /**
+     * Flush the frames in the current clusterFrameBuffer out to the stream as Clusters.
+     *
+     * @param {Number} [endTime] - Only frames that begin before this timestamp are flushed, the rest stay buffered to
+     *                             begin the next cluster. By default all frames are flushed.
+     */
+    function flushClusterFrameBuffer(endTime) {
+        // Frames from different tracks are interleaved by time
+        clusterFrameBuffer.sort((a, b) => a.timestamp - b.timestamp);
+
+        let
+            flushCount = clusterFrameBuffer.length;
+
+        if (endTime !== undefined) {
+            flushCount = clusterFrameBuffer.findIndex(frame => frame.timestamp >= endTime);
+
+            if (flushCount === -1) {
+                flushCount = clusterFrameBuffer.length;
+            }
+        }
+
+        if (flushCount === 0) {
+            return;
+        }
+
+        // Every track has usually received its first frame by now, so we know enough to describe them all
+        if (!writtenHeader) {
+            writeHeader();
+        }
+
+        let
+            frames = clusterFrameBuffer.slice(0, flushCount);
+
+        clusterFrameBuffer = clusterFrameBuffer.slice(flushCount);
+        clusterBufferedBytes = clusterFrameBuffer.reduce((total, frame) => total + measureFrame(frame), 0);
+
+        // Block timecodes are relative to their cluster, so split the frames up if they span too long for those
+        while (frames.length > 0) {
+            let
+                clusterTimecode = frames[0].absoluteTimecode,
+                clusterEnd = frames.findIndex(frame => frame.absoluteTimecode - clusterTimecode > MAX_RELATIVE_TIMECODE);
+
+            if (clusterEnd === -1) {
+                clusterEnd = frames.length;
+            }
+
+            writeCluster(frames.slice(0, clusterEnd));
+            frames = frames.slice(clusterEnd);
+        }
+    }
+
+    /**
+     * Write the given frames to the stream as a Cluster.
+     *
+     * @param {Frame[]} frames - Sorted by timestamp, and spanning no more than MAX_RELATIVE_TIMECODE
+     */
+    function writeCluster(frames) {
+        let
+            // First work out how large of a buffer we need to hold the cluster data
+            rawImageSize = frames.reduce((total, frame) => total + measureFrame(frame), 0),
+
+            buffer = new ArrayBufferDataStream(rawImageSize + frames.length * 64), // Estimate 64 bytes per block header
+
+            clusterTimecode = frames[0].absoluteTimecode,
+
+            cluster = createCluster({
+                timecode: clusterTimecode,
+            }),
+
+            blocks = frames.map(frame => {
+                // Frame timecodes are relative to the start of their cluster:
+                frame.timecode = frame.absoluteTimecode - clusterTimecode;
+
+                return createContainerForFrame(frame);
+            });
+
+        cluster.data.push(...blocks);
+
+        writeEBML(buffer, blobBuffer.pos, cluster);
+
+        let
+            clusterData = buffer.getAsDataArray();
+
+        writeToStream(clusterData);
+
+        /* With alignClustersToKeyframes, clusters begin with a keyframe (unless one was cut because its timecodes ran
+         * out of range), so each one can be played as a media segment by itself:
+         */
+        if (options.onmediasegment) {
+            options.onmediasegment(clusterData);
+        }
+
+        // Live streams have no Cues
+        if (options.live) {
+            return;
+        }
+
+        /* Seeking must land on a keyframe, so point each video track's cue at its first keyframe in the cluster (if
+         * any). Audio tracks only get cues when there is no video.
+         */
+        let
+            leaderTrack = getClusterLeaderTrack(),
+            cueKeyframes = [];
+
+        for (let track of tracks) {
+            if (track.trackType !== TRACK_TYPE_VIDEO && track !== leaderTrack) {
+                continue;
+            }
+
+            let
+                keyframe = frames.find(frame => frame.trackNumber === track.trackNumber && frame.keyframe);
+
+            if (keyframe) {
+                cueKeyframes.push(keyframe);
+            }
+        }
+
+        cueKeyframes.sort((a, b) => a.absoluteTimecode - b.absoluteTimecode);
+
+        for (let keyframe of cueKeyframes) {
+            let
+                index = frames.indexOf(keyframe);
+
+            addCuePoint(keyframe, cluster, blocks[index], index + 1);
+        }
+    }
+
+    /**
+     * Create the sink for the destination given in the options.
+     *
+     * @return {Sink}
+     */
+    function createOutputSink() {
+        let
+            destination = options.sink || options.stream || options.fileHandle || options.fileWriter || options.fd;
+
+        if (options.syncAccessHandle) {
+            return new SyncAccessHandleSink(options.syncAccessHandle, options.fileHandle);
+        }
+
+        // A live stream that's passed on to ondata doesn't need to be buffered in memory too
+        if (!destination && options.live && options.ondata) {
+            return {
+                write() {},
+                close() {
+                    return null;
+                }
+            };
+        }
+
+        return createSink(destination, options.fs);
+    }
+
+    function validateOptions() {
+        if (options.live && options.ondata && typeof options.ondata !== "function") {
+            throw new Error("The ondata option must be a function");
+        }
+
+        options.container = options.container.toLowerCase();
+
+        if (options.container === "matroska") {
+            // WebM doesn't allow attachments, so only Matroska files reserve a place for them in the SeekHead
+            seekPoints.Attachments = {id: new Uint8Array([0x19, 0x41, 0xA4, 0x69]), positionEBML: null};
+        } else if (options.container !== "webm") {
+            throw new Error("Unsupported container " + options.container);
+        }
+
+        if (!(Number.isInteger(options.reserveCuesSpace) && options.reserveCuesSpace >= 0)
+                || options.reserveCuesSpace === 1) {
+            throw new Error("reserveCuesSpace must be 0, or a number of bytes from 2 upwards");
+        }
+
+        if (!(Number.isInteger(options.timecodeScale) && options.timecodeScale > 0)) {
+            throw new Error("timecodeScale must be a whole number of nanoseconds");
+        }
+
+        if (options.date != null && !(options.date instanceof Date && !isNaN(options.date.getTime())
+                || Number.isFinite(options.date))) {
+            throw new Error("date must be a Date or a number of milliseconds since the Unix epoch");
+        }
+
+        // With no room for a single write, `ready` would never resolve
+        if (!(Number.isInteger(options.highWaterMark) && options.highWaterMark >= 1
+                || options.highWaterMark === Infinity)) {
+            throw new Error("highWaterMark must be a whole number of writes from 1 upwards, or Infinity");
+        }
+
+        // Derive frameDuration setting if not already supplied
+        if (!options.frameDuration) {
+            if (options.frameRate) {
+                options.frameDuration = 1000 / options.frameRate;
+            } else {
+                throw new Error("Missing required frameDuration or frameRate setting");
+            }
+        }
+
+        // Avoid 1.0 (lossless) because it creates VP8L lossless frames that WebM doesn't support
+        options.quality = Math.max(Math.min(options.quality, 0.99999), 0);
+
+        if (options.alphaQuality === undefined) {
+            options.alphaQuality = options.quality;
+        } else {
+            options.alphaQuality = Math.max(Math.min(options.alphaQuality, 0.99999), 0);
+        }
+
+        // Throws if the codec isn't supported
+        describeVideoCodec(options.codec, options.codecOptions);
+
+        if (options.audio) {
+            // The audio option accompanies the writer's own video, so that track comes first
+            getDefaultVideoTrack();
+
+            defaultAudioTrack = createTrack(extend(options.audio, {type: "audio"}));
+        }
+
+        if (options.subtitles) {
+            getDefaultVideoTrack();
+            getDefaultSubtitleTrack();
+        }
+    }
+
+    /**
+     * Register a new track.
+     *
+     * @param {Object} config - See addTrack()
+     *
+     * @return {Track}
+     */
+    function createTrack(config) {
+        if (writtenHeader) {
+            throw new Error("Tracks must be added before the first cluster of the video is written");
+        }
+
+        if (tracks.length >= 126) {
+            throw new Error("Too many tracks");
+        }
+
+        let
+            trackType;
+
+        switch (config.type) {
+            case "video":
+                trackType = TRACK_TYPE_VIDEO;
+
+                if (config.codec === undefined) {
+                    config.codec = options.codec;
+                }
+
+                // Throws if the codec isn't supported
+                describeVideoCodec(config.codec, config.codecOptions);
+                break;
+            case "audio":
+                trackType = TRACK_TYPE_AUDIO;
+                break;
+            case "subtitle":
+                trackType = TRACK_TYPE_SUBTITLE;
+
+                // Throws if the kind of text isn't supported
+                describeSubtitleCodec(config);
+                break;
+            default:
+                throw new Error("Unsupported track type " + config.type);
+        }
+
+        let
+            track = {
+                trackNumber: tracks.length + 1,
+                trackUID: tracks.length + 1,
+                trackType: trackType,
+                config: config,
+                codec: null,
+                codecString: null,
+                codecInitData: null,
+                width: config.width || 0,
+                height: config.height || 0,
+                frameDuration: config.frameDuration || (config.frameRate ? 1000 / config.frameRate : options.frameDuration),
+                frameCount: 0,
+                nextTimestamp: 0,
+                lastTimecode: 0,
+                lastFrame: null
+            };
+
+        tracks.push(track);
+
+        return track;
+    }
+
+    /**
+     * Describe the codec of the given track, using the data its encoder supplied if any, so that its header and
+     * frames can be written.
+     *
+     * @param {Track} track
+     */
+    function describeTrack(track) {
+        if (track.codec) {
+            return;
+        }
+
+        if (track.trackType === TRACK_TYPE_VIDEO) {
+            track.codec = describeVideoCodec(
+                track.codecString || track.config.codec,
+                track.config.codecOptions,
+                track.codecInitData
+            );
+        } else if (track.trackType === TRACK_TYPE_AUDIO) {
+            track.codec = describeAudioCodec(track.config, track.codecInitData && track.codecInitData.description);
+        } else {
+            track.codec = describeSubtitleCodec(track.config);
+        }
+    }
+
+    /**
+     * Get the video track used by the writer's own addFrame() and addEncodedChunk() methods, creating it from the
+     * writer's options if needed.
+     *
+     * @return {Track}
+     */
+    function getDefaultVideoTrack() {
+        if (!defaultVideoTrack) {
+            defaultVideoTrack = createTrack({
+                type: "video",
+                codec: options.codec,
+                codecOptions: options.codecOptions,
+                width: options.width,
+                height: options.height,
+                transparent: options.transparent,
+                frameDuration: options.frameDuration
+            });
+        }
+
+        return defaultVideoTrack;
+    }
+
+    /**
+     * Get the text track used by the writer's own addSubtitle() method, creating it from the writer's options if
+     * needed.
+     *
+     * @return {Track}
+     */
+    function getDefaultSubtitleTrack() {
+        if (!defaultSubtitleTrack) {
+            defaultSubtitleTrack = createTrack(extend(options.subtitles, {type: "subtitle"}));
+        }
+
+        return defaultSubtitleTrack;
+    }
+
+    /**
+     * Create the object that the user adds frames to a track with.
+     *
+     * @param {Track} track
+     *
+     * @return {TrackHandle}
+     */
+    function createTrackHandle(track) {
+        let
+            addToTrack = {
+                [TRACK_TYPE_VIDEO]: addEncodedVideoChunk,
+                [TRACK_TYPE_AUDIO]: addEncodedAudioChunk,
+                [TRACK_TYPE_SUBTITLE]: addSubtitleCue
+            }[track.trackType];
+
+        return {
+            trackNumber: track.trackNumber,
+            addFrame: (chunk, metadata) => {
+                checkNotStopped();
+                addToTrack(track, chunk, metadata);
+                return blobBuffer.ready;
+            }
+        };
+    }
+
+    /**
+     * Get the track whose keyframes begin new clusters: the first video track, or else the first audio track.
+     *
+     * Subtitles never lead, since they're often all added before the video begins.
+     *
+     * @return {?Track}
+     */
+    function getClusterLeaderTrack() {
+        return tracks.find(track => track.trackType === TRACK_TYPE_VIDEO)
+            || tracks.find(track => track.trackType === TRACK_TYPE_AUDIO)
+            || null;
+    }
+
+    /**
+     * Decide whether the given frame should begin a new cluster, according to the cluster options.
+     *
+     * @param {Track} track
+     * @param {Frame} frame
+     *
+     * @return {boolean}
+     */
+    function shouldBeginCluster(track, frame) {
+        let
+            leaderTrack = getClusterLeaderTrack(),
+            leaderTime = leaderTrack && leaderTrack.lastFrame ? leaderTrack.lastFrame.timestamp : -Infinity;
+
+        /* If the leader has no frames, or has fallen a whole cluster behind this audio (e.g. the video has ended or
+         * stalled), the audio leads instead, so that it isn't all held in memory waiting for the leader to catch up:
+         */
+        if (track.trackType === TRACK_TYPE_AUDIO && frame.timestamp - leaderTime >= options.maxClusterDuration) {
+            leaderTrack = track;
+        }
+
+        /* Other tracks can run ahead of the leader (e.g. subtitles added up front), and the leader may still add frames
+         * before them, so only cut at frames that it has already reached. This keeps the header from being written
+         * before the leader's first frame has described it.
+         */
+        if (track !== leaderTrack && frame.timestamp > leaderTime) {
+            return false;
+        }
+
+        // The frame's timecode wouldn't fit in the current cluster, so we must cut it here whatever the options say
+        if (frame.absoluteTimecode - toTimecode(clusterStartTime) > MAX_RELATIVE_TIMECODE) {
+            return true;
+        }
+
+        /* By default, only cut the cluster at a keyframe, so that every cluster (and so every cue point) can be
+         * decoded without reference to the previous one:
+         */
+        if (options.alignClustersToKeyframes && !(track === leaderTrack && frame.keyframe)) {
+            return false;
+        }
+
+        return frame.timestamp - clusterStartTime >= options.maxClusterDuration
+            || options.maxClusterSize > 0 && clusterBufferedBytes + measureFrame(frame) > options.maxClusterSize;
+    }
+
+    /**
+     * Add a frame to the cluster buffer, starting a new cluster first if the current one is long enough.
+     *
+     * @param {Track} track
+     * @param {Frame} frame - Its timestamp and duration must already be set
+     */
+    function addFrameToCluster(track, frame) {
+        frame.trackNumber = track.trackNumber;
+        frame.absoluteTimecode = toTimecode(frame.timestamp);
+
+        if (clusterFrameBuffer.length === 0) {
+            clusterStartTime = frame.timestamp;
+        } else if (shouldBeginCluster(track, frame)) {
+            flushClusterFrameBuffer(frame.timestamp);
+            clusterStartTime = frame.timestamp;
+        } else {
+            // Frames of other tracks that ran ahead may have been buffered before this one
+            clusterStartTime = Math.min(clusterStartTime, frame.timestamp);
+        }
+
+        if (!frame.keyframe) {
+            frame.referenceTimecode = track.lastTimecode - frame.absoluteTimecode;
+        }
+
+        track.lastTimecode = frame.absoluteTimecode;
+        track.lastFrame = frame;
+
+        track.frameCount++;
+
+        clusterFrameBuffer.push(frame);
+        clusterBufferedBytes += measureFrame(frame);
+
+        // An estimated duration is only counted if it's still in place when the video is completed
+        segmentEndTime = Math.max(
+            segmentEndTime,
+            frame.estimatedDuration ? frame.timestamp : frame.timestamp + frame.duration
+        );
     }
 
     /**
-     * Write a Cues element to the blobStream using the global `cues` array of CuePoints (use addCuePoint()).
-     * The seek entry for the Cues in the SeekHead is updated.
+     * Add a frame at the end of the given video track.
+     *
+     * @param {Track} track
+     * @param {Frame} frame
      */
-    function writeCues() {
+    function addVideoFrame(track, frame) {
         let
-            ebml = {
-                "id": 0x1C53BB6B,
-                "data": cues
-            },
+            previous = track.lastFrame;
 
-            cuesBuffer = new ArrayBufferDataStream(16 + cues.length * 32); // Pretty crude estimate of the buffer size we'll need
+        if (frame.timestamp === undefined) {
+            frame.timestamp = track.nextTimestamp;
+        } else {
+            if (previous && frame.timestamp < previous.timestamp) {
+                throw new Error("Frame timestamps must not go backwards");
+            }
 
-        writeEBML(cuesBuffer, blobBuffer.pos, ebml);
-        blobBuffer.write(cuesBuffer.getAsDataArray());
+            // A frame without a duration of its own lasts until the next one begins
+            if (previous && previous.estimatedDuration) {
+                previous.duration = frame.timestamp - previous.timestamp;
+            }
+        }
 
-        // Now we know where the Cues element has ended up, we can update the SeekHead
-        seekPoints.Cues.positionEBML.data = fileOffsetToSegmentRelative(ebml.offset);
+        track.nextTimestamp = frame.timestamp + frame.duration;
+
+        addFrameToCluster(track, frame);
     }
 
     /**
-     * Flush the frames in the current clusterFrameBuffer out to the stream as a Cluster.
+     * Add a frame encoded by an external encoder to the given video track.
+     *
+     * @param {Track} track
+     * @param {EncodedVideoChunk|{type: String, timestamp: Number, duration: ?Number, data: BufferSource}} chunk
+     * @param {EncodedVideoChunkMetadata} [metadata]
      */
-    function flushClusterFrameBuffer() {
-        if (clusterFrameBuffer.length === 0) {
-            return;
-        }
-
-        // First work out how large of a buffer we need to hold the cluster data
+    function addEncodedVideoChunk(track, chunk, metadata) {
         let
-            rawImageSize = 0;
+            keyframe = chunk.type === "key";
 
-        for (let i = 0; i < clusterFrameBuffer.length; i++) {
-            rawImageSize += clusterFrameBuffer[i].frame.length +
-                (clusterFrameBuffer[i].alpha ? clusterFrameBuffer[i].alpha.length : 0);
-        }
-
-        let
-            buffer = new ArrayBufferDataStream(rawImageSize + clusterFrameBuffer.length * 64), // Estimate 64 bytes per block header
+        if (track.frameCount === 0) {
+            if (!keyframe) {
+                throw new Error("The first encoded chunk must be a keyframe");
+            }
 
-            cluster = createCluster({
-                timecode: Math.round(clusterStartTime),
-            });
+            let
+                decoderConfig = metadata && metadata.decoderConfig;
 
-        for (let i = 0; i < clusterFrameBuffer.length; i++) {
-            cluster.data.push(createContainerForKeyframe(clusterFrameBuffer[i]));
-        }
+            track.width = (decoderConfig && decoderConfig.codedWidth) || track.width;
+            track.height = (decoderConfig && decoderConfig.codedHeight) || track.height;
 
-        writeEBML(buffer, blobBuffer.pos, cluster);
-        blobBuffer.write(buffer.getAsDataArray());
+            // The encoder's full codec string (e.g. "vp09.00.10.08") tells us more than the codec option does
+            if (decoderConfig && decoderConfig.codec) {
+                if (describeVideoCodec(decoderConfig.codec).id !== describeVideoCodec(track.config.codec).id) {
+                    throw new Error("Encoded chunks are " + decoderConfig.codec + " but the track's codec is " + track.config.codec);
+                }
 
-        addCuePoint(DEFAULT_TRACK_NUMBER, Math.round(clusterStartTime), cluster.offset);
+                track.codecString = decoderConfig.codec;
+            }
 
-        clusterFrameBuffer = [];
-        clusterStartTime += clusterDuration;
-        clusterDuration = 0;
-    }
+            track.codecInitData = {
+                description: decoderConfig && decoderConfig.description
+                    ? readEncodedChunkData({data: decoderConfig.description})
+                    : null,
+                sequenceHeader: describeVideoCodec(track.config.codec).id === "V_AV1"
+                    ? findAV1SequenceHeader(readEncodedChunkData(chunk))
+                    : null
+            };
 
-    function validateOptions() {
-        // Derive frameDuration setting if not already supplied
-        if (!options.frameDuration) {
-            if (options.frameRate) {
-                options.frameDuration = 1000 / options.frameRate;
-            } else {
-                throw new Error("Missing required frameDuration or frameRate setting");
-            }
+            describeTrack(track);
         }
 
-        // Avoid 1.0 (lossless) because it creates VP8L lossless frames that WebM doesn't support
-        options.quality = Math.max(Math.min(options.quality, 0.99999), 0);
+        let
+            alpha = track.config.transparent && metadata && metadata.alphaSideData,
+            data = readEncodedChunkData(chunk);
 
-        if (options.alphaQuality === undefined) {
-            options.alphaQuality = options.quality;
-        } else {
-            options.alphaQuality = Math.max(Math.min(options.alphaQuality, 0.99999), 0);
+        if (track.codec.id === "V_AV1") {
+            // The Sequence Header OBU is kept in the av1C record after its 4 byte header
+            data = prepareAV1TemporalUnit(data, keyframe, track.codec.codecPrivate.subarray(4));
         }
+
+        // Like audio packets, chunks are placed at their own timestamps, so the tracks stay in sync
+        addVideoFrame(track, {
+            frame: data,
+            keyframe: keyframe,
+            timestamp: typeof chunk.timestamp === "number" ? chunk.timestamp / 1000 : undefined,
+            duration: typeof chunk.duration === "number" ? chunk.duration / 1000 : track.frameDuration,
+            estimatedDuration: typeof chunk.duration !== "number" && typeof chunk.timestamp === "number",
+            alpha: alpha ? readEncodedChunkData({data: alpha}) : null
+        });
     }
 
     /**
+     * Add an encoded audio packet to the given audio track.
      *
-     * @param {Frame} frame
+     * @param {Track} track
+     * @param {EncodedAudioChunk|{timestamp: Number, duration: ?Number, data: BufferSource}} chunk
+     * @param {EncodedAudioChunkMetadata} [metadata]
      */
-    function addFrameToCluster(frame) {
-        frame.trackNumber = DEFAULT_TRACK_NUMBER;
+    function addEncodedAudioChunk(track, chunk, metadata) {
+        let
+            decoderConfig = metadata && metadata.decoderConfig;
 
-        // Frame timecodes are relative to the start of their cluster:
-        frame.timecode = Math.round(clusterDuration);
+        if (track.frameCount === 0) {
+            track.codecInitData = {
+                description: decoderConfig && decoderConfig.description
+                    ? readEncodedChunkData({data: decoderConfig.description})
+                    : null
+            };
 
-        clusterFrameBuffer.push(frame);
+            describeTrack(track);
+        }
 
-        clusterDuration += frame.duration;
+        addFrameToCluster(track, {
+            frame: readEncodedChunkData(chunk),
+            keyframe: true,
+            timestamp: chunk.timestamp / 1000,
+            duration: typeof chunk.duration === "number" ? chunk.duration / 1000 : 0,
+            alpha: null
+        });
+    }
 
-        if (clusterDuration >= MAX_CLUSTER_DURATION_MSEC) {
-            flushClusterFrameBuffer();
+    /**
+     * Add a WebVTT cue to the given text track.
+     *
+     * @param {Track} track
+     * @param {{start: Number, end: Number, text: String, settings: ?String, id: ?String}} cue
+     */
+    function addSubtitleCue(track, cue) {
+        if (!(cue && typeof cue.start === "number" && cue.start >= 0 && cue.end >= cue.start)) {
+            throw new Error("A subtitle needs a start time and an end time after it");
+        }
+        if (typeof cue.text !== "string") {
+            throw new Error("A subtitle needs some text");
         }
+
+        if (track.frameCount === 0) {
+            describeTrack(track);
+        }
+
+        let
+            // Following the WebM mapping of WebVTT, the cue's identifier and settings are each given a line
+            additional = cue.id || cue.settings
+                ? encodeUTF8((cue.id || "") + "\n" + (cue.settings || "") + "\n")
+                : null;
+
+        addFrameToCluster(track, {
+            frame: encodeUTF8(cue.text),
+            keyframe: true,
+            timestamp: cue.start,
+            duration: cue.end - cue.start,
+            explicitDuration: true,
+            alpha: null,
+            additional: additional
+        });
     }
 
     /**
@@ -600,6 +1941,16 @@ export function WebMWriter(options) {
             seekHeadBuffer = new ArrayBufferDataStream(seekHead.size),
             oldPos = blobBuffer.pos;
 
+        // Blank out the entries of elements that weren't written, keeping the space they were given
+        seekHead.data = Object.values(seekPoints).map(seekPoint => {
+            let
+                seekEBML = seekPoint.seekEBML;
+
+            return seekPoint.positionEBML.data
+                ? seekEBML
+                : createVoidElement(seekEBML.dataOffset - seekEBML.offset + seekEBML.size);
+        });
+
         // Write the rewritten SeekHead element's data payload to the stream (don't need to update the id or size)
         writeEBML(seekHeadBuffer, seekHead.dataOffset, seekHead.data);
 
@@ -619,7 +1970,7 @@ export function WebMWriter(options) {
             oldPos = blobBuffer.pos;
 
         // Rewrite the data payload (don't need to update the id or size)
-        buffer.writeDoubleBE(clusterStartTime);
+        buffer.writeDoubleBE(segmentEndTime * 1e6 / options.timecodeScale); // In timecode steps, not rounded
 
         // And write that through to the file
         blobBuffer.seek(segmentDuration.dataOffset);
@@ -633,12 +1984,12 @@ export function WebMWriter(options) {
      */
     function rewriteSegmentLength() {
         let
-            buffer = new ArrayBufferDataStream(10),
+            buffer = new ArrayBufferDataStream(4 + 8),
             oldPos = blobBuffer.pos;
 
         // We just need to rewrite the ID and Size fields of the root Segment:
         buffer.writeUnsignedIntBE(ebmlSegment.id);
-        buffer.writeEBMLVarIntWidth(blobBuffer.pos - ebmlSegment.dataOffset, 5);
+        buffer.writeEBMLVarIntWidth(blobBuffer.pos - ebmlSegment.dataOffset, 8);
 
         // And write that on top of the original:
         blobBuffer.seek(ebmlSegment.offset);
@@ -647,17 +1998,80 @@ export function WebMWriter(options) {
         blobBuffer.seek(oldPos);
     }
 
+    /**
+     * Choose the image to take the alpha channel of a transparent frame from.
+     *
+     * @param {*} frame - The image passed to addFrame()
+     * @param {*} alpha - The separate alpha channel passed to addFrame(), if any
+     * @param {{hasAlpha: boolean}} keyframe - The frame's encoded WebP keyframe
+     *
+     * @return {*} The alpha channel image, or null if the frame is opaque
+     */
+    function chooseAlphaImage(frame, alpha, keyframe) {
+        if (!options.transparent) {
+            return null;
+        }
+
+        if (alpha) {
+            return alpha;
+        }
+
+        if (keyframe.hasAlpha) {
+            if (isByteArray(frame) || typeof frame === "string" || (typeof Blob !== "undefined" && frame instanceof Blob)) {
+                throw new Error("The alpha channel of WebP files can't be decoded, supply it separately as the alpha argument");
+            }
+
+            return convertAlphaToGrayscaleImage(frame);
+        }
+
+        return null;
+    }
+
+    /**
+     * Add a frame which has been encoded to WebP by addFrame() to the default video track.
+     *
+     * @param {Track} track
+     * @param {*} frame - The image passed to addFrame()
+     * @param {{frame: Uint8Array, width: Number, height: Number}} keyframe
+     * @param {?Uint8Array} alphaWebP - The encoded alpha channel, if the frame is transparent
+     * @param {{timestamp: (Number|undefined), duration: Number, estimatedDuration: boolean}} timing - In milliseconds
+     */
+    function addWebPFrame(track, frame, keyframe, alphaWebP, timing) {
+        if (track.frameCount === 0) {
+            track.width = frame.width || keyframe.width;
+            track.height = frame.height || keyframe.height;
+
+            describeTrack(track);
+        }
+
+        addVideoFrame(track, {
+            frame: keyframe.frame,
+            keyframe: true,
+            timestamp: timing.timestamp,
+            duration: timing.duration,
+            estimatedDuration: timing.estimatedDuration,
+            alpha: alphaWebP ? extractKeyframeFromWebP(alphaWebP).frame : null
+        });
+    }
+
     /**
      * Add a frame to the video.
      *
-     * @param {HTMLCanvasElement|String} frame - A Canvas element that contains the frame, or a WebP string
-     *                                           you obtained by calling toDataUrl() on an image yourself.
+     * Canvas elements, data URLs and WebP files are added immediately. Other images need to be encoded
+     * asynchronously, and are added in order once that finishes (as are any frames added while they are pending).
+     *
+     * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData|Blob|String|Uint8Array|ArrayBuffer} frame -
+     *                                           A Canvas or OffscreenCanvas that contains the frame, an ImageBitmap
+     *                                           or ImageData, a WebP string you obtained by calling toDataUrl() on
+     *                                           an image yourself, or the bytes of a (lossy) WebP file, e.g. a Node
+     *                                           Buffer produced by a native encoder.
      *
-     * @param {HTMLCanvasElement|String} [alpha] - For transparent video, instead of including the alpha channel
-     *                                             in your provided `frame`, you can instead provide it separately
-     *                                             here. The alpha channel of this alpha canvas will be ignored,
-     *                                             encode your alpha information into this canvas' grayscale
-     *                                             brightness instead.
+     * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData|Blob|String|Uint8Array|ArrayBuffer} [alpha] -
+     *                                             For transparent video, instead of including the alpha channel in
+     *                                             your provided `frame`, you can instead provide it separately here.
+     *                                             The alpha channel of this alpha canvas will be ignored, encode your
+     *                                             alpha information into this canvas' grayscale brightness instead.
+     *                                             This is required when the frame is a WebP file.
      *
      *                                             This is useful because it allows you to paint the colours
      *                                             you need into your `frame` even in regions which are fully
@@ -665,77 +2079,434 @@ export function WebMWriter(options) {
      *                                             This allows you to control the colour of the fringing seen
      *                                             around objects on transparent backgrounds.
      *
-     * @param {Number} [overrideFrameDuration] - Set a duration for this frame (in milliseconds) that differs
-     *                                           from the default
+     * @param {Number|{timestamp: Number, duration: Number}} [overrideFrameDuration] -
+     *                                           Set a duration for this frame (in milliseconds) that differs from
+     *                                           the default. Or for variable frame rate video, an object with the
+     *                                           `timestamp` where the frame begins and optionally its `duration`,
+     *                                           both in microseconds (like WebCodecs timestamps). A frame without a
+     *                                           duration lasts until the next frame's timestamp. This object can
+     *                                           also be passed in place of `alpha`.
+     *
+     * @return {Promise} Resolves once the frame has been added to the video and the number of pending writes is
+     *                   below the highWaterMark, so producers can await it to avoid outrunning the destination.
      */
     this.addFrame = function(frame, alpha, overrideFrameDuration) {
-        if (!writtenHeader) {
-            videoWidth = frame.width || 0;
-            videoHeight = frame.height || 0;
+        checkNotStopped();
 
-            writeHeader();
+        let
+            track = getDefaultVideoTrack(),
+            timing = {
+                timestamp: undefined, // Follow on from the previous frame
+                duration: track.frameDuration,
+                estimatedDuration: false
+            },
+            isTiming = value => value && typeof value === "object" && ("timestamp" in value || "duration" in value);
+
+        if (options.codec.toLowerCase() !== "vp8") {
+            throw new Error("addFrame() can only produce VP8 video, use addEncodedChunk() for other codecs");
         }
 
-        let
-            keyframe = extractKeyframeFromWebP(renderAsWebP(frame, options.quality)),
-            frameDuration, frameAlpha = null;
+        if (isTiming(alpha)) {
+            overrideFrameDuration = alpha;
+            alpha = null;
+        }
+
+        if (isTiming(overrideFrameDuration)) {
+            if (typeof overrideFrameDuration.timestamp === "number") {
+                timing.timestamp = overrideFrameDuration.timestamp / 1000;
+            }
 
-        if (overrideFrameDuration) {
-            frameDuration = overrideFrameDuration;
+            if (typeof overrideFrameDuration.duration === "number") {
+                timing.duration = overrideFrameDuration.duration / 1000;
+            } else {
+                timing.estimatedDuration = timing.timestamp !== undefined;
+            }
+        } else if (overrideFrameDuration) {
+            timing.duration = overrideFrameDuration;
         } else if (typeof alpha == "number") {
-            frameDuration = alpha;
-        } else {
-            frameDuration = options.frameDuration;
+            timing.duration = alpha;
         }
 
-        if (options.transparent) {
-            if (alpha instanceof HTMLCanvasElement || typeof alpha === "string") {
-                frameAlpha = alpha;
-            } else if (keyframe.hasAlpha) {
-                frameAlpha = convertAlphaToGrayscaleImage(frame);
-            }
+        if (!(alpha && typeof alpha === "object" || typeof alpha === "string")) {
+            alpha = null;
         }
 
-        addFrameToCluster({
-            frame: keyframe.frame,
-            duration: frameDuration,
-            alpha: frameAlpha
-                ? extractKeyframeFromWebP(renderAsWebP(frameAlpha, options.alphaQuality)).frame
-                : null
+        if (pendingFrameCount === 0 && canRenderSynchronously(frame) && (!alpha || canRenderSynchronously(alpha))) {
+            let
+                keyframe = extractKeyframeFromWebP(renderAsWebP(frame, options.quality)),
+                alphaImage = chooseAlphaImage(frame, alpha, keyframe);
+
+            addWebPFrame(
+                track, frame, keyframe,
+                alphaImage ? renderAsWebP(alphaImage, options.alphaQuality) : null,
+                timing
+            );
+
+            return blobBuffer.ready;
+        }
+
+        pendingFrameCount++;
+
+        let
+            result = frameQueue
+                .then(() => {
+                    // Frames added before complete() are still written, so only stop if writing failed
+                    checkNotFailed();
+
+                    return renderAsWebPAsync(frame, options.quality);
+                })
+                .then(webP => {
+                    checkNotFailed();
+
+                    let
+                        keyframe = extractKeyframeFromWebP(webP),
+                        alphaImage = chooseAlphaImage(frame, alpha, keyframe);
+
+                    return (alphaImage ? renderAsWebPAsync(alphaImage, options.alphaQuality) : Promise.resolve(null))
+                        .then(alphaWebP => addWebPFrame(track, frame, keyframe, alphaWebP, timing));
+                })
+                .catch(error => {
+                    // Frames still waiting to be added when the video was aborted are dropped quietly, since callers
+                    // needn't be awaiting them
+                    if (!aborted) {
+                        throw error;
+                    }
+                })
+                .finally(() => {
+                    pendingFrameCount--;
+                });
+
+        // A frame that fails to encode is reported to the caller of addFrame(), but doesn't block later frames
+        frameQueue = result.catch(() => {});
+
+        return result.then(() => blobBuffer.ready);
+    };
+
+    /**
+     * Add a frame that was already encoded by an external encoder (e.g. the WebCodecs VideoEncoder) to the video,
+     * using the codec given in the `codec` option. Unlike addFrame(), this supports delta frames, which results in
+     * much smaller files.
+     *
+     * The first chunk must be a keyframe. AV1 chunks must be temporal units in the low-overhead bitstream format.
+     *
+     * @param {EncodedVideoChunk|{type: String, timestamp: Number, duration: ?Number, data: BufferSource}} chunk -
+     *        An EncodedVideoChunk, or an object of the same shape. `type` is "key" or "delta", and `timestamp` and
+     *        `duration` are in microseconds. Without a duration, the chunk lasts until the next one's timestamp (or for
+     *        the last chunk, the frameDuration option).
+     *
+     * @param {EncodedVideoChunkMetadata} [metadata] - The metadata the VideoEncoder supplied with the chunk, used to
+     *                                                 discover the video dimensions. For transparent video, its
+     *                                                 `alphaSideData` holds the encoded alpha channel of the frame.
+     *
+     * @return {Promise} Resolves once the number of pending writes is below the highWaterMark
+     */
+    this.addEncodedChunk = function(chunk, metadata) {
+        checkNotStopped();
+        addEncodedVideoChunk(getDefaultVideoTrack(), chunk, metadata);
+
+        return blobBuffer.ready;
+    };
+
+    /**
+     * Add an encoded audio packet (e.g. from the WebCodecs AudioEncoder) to the audio track, which must have been
+     * configured using the `audio` option. Packets are interleaved with the video frames by their timestamps, which
+     * are measured from the beginning of the video.
+     *
+     * @param {EncodedAudioChunk|{timestamp: Number, duration: ?Number, data: BufferSource}} chunk - An
+     *        EncodedAudioChunk, or an object of the same shape. `timestamp` and `duration` are in microseconds.
+     *
+     * @param {EncodedAudioChunkMetadata} [metadata] - The metadata the AudioEncoder supplied with the chunk. Its
+     *                                                 `decoderConfig.description` (the OpusHead, or the Xiph-laced
+     *                                                 Vorbis headers) is used for the track header if it arrives
+     *                                                 before the first video frame.
+     *
+     * @return {Promise} Resolves once the number of pending writes is below the highWaterMark
+     */
+    this.addAudioChunk = function(chunk, metadata) {
+        checkNotStopped();
+
+        if (!defaultAudioTrack) {
+            throw new Error("Supply the audio option to add an audio track, or use addAudioTrack()");
+        }
+
+        addEncodedAudioChunk(defaultAudioTrack, chunk, metadata);
+
+        return blobBuffer.ready;
+    };
+
+    /**
+     * Add a subtitle (a WebVTT cue) to the text track of the video. The text track must be created before the first
+     * cluster of the video is written, so either supply the `subtitles` option, or add the first subtitle before you
+     * begin adding frames (you can add all of your subtitles up front).
+     *
+     * Subtitles must be added before the video reaches their start time.
+     *
+     * @param {Object} cue - {start, end, text, settings, id}, where `start` and `end` are in milliseconds, `text` is
+     *                       the cue's payload (which can contain WebVTT markup like <i>), `settings` are the WebVTT cue
+     *                       settings (e.g. "line:0 align:start") and `id` is the optional cue identifier.
+     *
+     * @return {Promise} Resolves once the number of pending writes is below the highWaterMark
+     */
+    this.addSubtitle = function(cue) {
+        checkNotStopped();
+        addSubtitleCue(getDefaultSubtitleTrack(), cue);
+
+        return blobBuffer.ready;
+    };
+
+    /**
+     * Add a chapter to the video, so viewers can jump between its sections. Chapters can be added at any time before
+     * complete() is called.
+     *
+     * @param {Chapter} chapter - `start` and `end` are in milliseconds. If `end` is omitted, the chapter lasts until
+     *                            the next chapter begins (or the end of the video). `language` is an ISO 639-2 code.
+     */
+    this.addChapter = function(chapter) {
+        checkNotStopped();
+
+        if (!(chapter && typeof chapter.start === "number" && chapter.start >= 0)) {
+            throw new Error("A chapter needs a start time");
+        }
+        if (chapter.end !== undefined && !(chapter.end >= chapter.start)) {
+            throw new Error("A chapter can't end before it starts");
+        }
+        if (typeof chapter.title !== "string") {
+            throw new Error("A chapter needs a title");
+        }
+
+        chapters.push(extend({}, chapter));
+    };
+
+    /**
+     * Add a tag (metadata such as the artist, or a description of the render settings) to the video. Tags can be
+     * added at any time before complete() is called. You can also supply tags using the `tags` option, and the `tags`
+     * setting of tracks.
+     *
+     * @param {String} name - Upper-case by convention, e.g. "ARTIST", "COMMENT" or "ENCODER_SETTINGS"
+     * @param {String} value
+     * @param {Number} [trackNumber] - Set this to tag a track rather than the whole video (the track must already
+     *                                 have been added)
+     */
+    this.addTag = function(name, value, trackNumber) {
+        checkNotStopped();
+
+        if (typeof name !== "string" || name.length === 0) {
+            throw new Error("A tag needs a name");
+        }
+        if (value === undefined || value === null) {
+            throw new Error("A tag needs a value");
+        }
+        if (trackNumber !== undefined && trackNumber !== null && !tracks[trackNumber - 1]) {
+            throw new Error("The tag " + name + " is for track " + trackNumber + ", which doesn't exist");
+        }
+
+        tags.push({name: name, value: value, trackNumber: trackNumber || null});
+    };
+
+    /**
+     * Attach a file (e.g. a font, a cover image or a JSON manifest describing the render) to the video. Attachments are
+     * only supported by the "matroska" container, and can be added at any time before complete() is called.
+     *
+     * @param {Object} attachment - {name, mimeType, data, description}, where `data` is a Uint8Array, ArrayBuffer or
+     *                              other ArrayBufferView, or a string which is stored as UTF-8.
+     */
+    this.addAttachment = function(attachment) {
+        checkNotStopped();
+
+        if (options.container !== "matroska") {
+            throw new Error("Attachments require the matroska container");
+        }
+        if (!(attachment && typeof attachment.name === "string" && attachment.name.length > 0)) {
+            throw new Error("An attachment needs a file name");
+        }
+        if (typeof attachment.mimeType !== "string") {
+            throw new Error("An attachment needs a MIME type");
+        }
+
+        let
+            data = attachment.data;
+
+        if (typeof data === "string") {
+            data = encodeUTF8(data);
+        } else if (isByteArray(data)) {
+            data = toUint8Array(data);
+        } else {
+            throw new Error("Attachment data must be a string or bytes");
+        }
+
+        attachments.push({
+            name: attachment.name,
+            mimeType: attachment.mimeType,
+            data: data,
+            description: attachment.description
         });
     };
 
+    /**
+     * Add a new track to the video. All tracks must be added before the first cluster of the video is written, which
+     * happens once the first cluster is full (by default after 5 seconds of frames), so add tracks immediately after
+     * construction.
+     *
+     * @param {Object} config - For video tracks: {type: "video", codec, codecOptions, width, height, transparent,
+     *                          frameDuration, frameRate} where `codec` and `codecOptions` work like the writer options
+     *                          of the same name (`codec` defaults to the writer's), and the dimensions are only
+     *                          needed if the encoder won't supply a decoderConfig. For audio tracks: {type: "audio", codec, ...} with the same settings as
+     *                          the `audio` option. Both types of tracks also accept a `name`, a `language`
+     *                          (ISO 639-2 code) and `tags` (an object of tag names and values, see addTag()).
+     *                          Text tracks are created using {type: "subtitle", kind}, where `kind` is "subtitles",
+     *                          "captions" or "descriptions", and their handles' addFrame() takes cues like
+     *                          addSubtitle().
+     *
+     * @return {TrackHandle} Call its addFrame(chunk, metadata) to add encoded chunks to the track, these work like
+     *                       addEncodedChunk() and addAudioChunk().
+     */
+    this.addTrack = function(config) {
+        return createTrackHandle(createTrack(extend({}, config)));
+    };
+
+    /**
+     * Add a new video track, see addTrack().
+     *
+     * @return {TrackHandle}
+     */
+    this.addVideoTrack = function(config) {
+        return this.addTrack(extend(config, {type: "video"}));
+    };
+
+    /**
+     * Add a new audio track, see addTrack().
+     *
+     * @return {TrackHandle}
+     */
+    this.addAudioTrack = function(config) {
+        return this.addTrack(extend(config, {type: "audio"}));
+    };
+
     /**
      * Finish writing the video and return a Promise to signal completion.
      *
-     * If the destination device was memory (i.e. options.fileWriter was not supplied), the Promise is resolved with
-     * a Blob with the contents of the entire video.
+     * If the destination device was memory (i.e. no sink, fileHandle, fileWriter or fd was supplied), the Promise is
+     * resolved with a Blob with the contents of the entire video (of type video/webm, or video/x-matroska for the
+     * matroska container). Otherwise it resolves with the result of closing the sink, which is null for the built-in
+     * file sinks (or the File, when writing through a syncAccessHandle with its fileHandle). In live mode with an
+     * ondata callback, it resolves with null once the rest of the stream has been passed to ondata.
+     *
+     * The Promise is rejected if writing to the destination failed, or the video was aborted. Calling complete()
+     * again returns the same Promise.
      */
     this.complete = function() {
-        if (!writtenHeader) {
-            writeHeader();
+        // Completing again would write the end of the video twice
+        if (completion) {
+            return completion;
         }
 
-        flushClusterFrameBuffer();
-        writeCues();
+        // Wait for frames that are still being encoded
+        completion = frameQueue.then(() => {
+            checkNotFailed();
 
-        /*
-         * Now the file is at its final length and the position of all elements is known, seek back to the
-         * header and update pointers:
-         */
+            if (tracks.length === 0) {
+                getDefaultVideoTrack();
+            }
+
+            if (!writtenHeader) {
+                writeHeader();
+            }
+
+            // Nothing follows the last frame of each video track to show when it ends, so give it a BlockDuration
+            tracks.forEach(track => {
+                if (track.trackType === TRACK_TYPE_VIDEO && track.lastFrame) {
+                    track.lastFrame.explicitDuration = true;
+                    segmentEndTime = Math.max(segmentEndTime, track.lastFrame.timestamp + track.lastFrame.duration);
+                }
+            });
+
+            flushClusterFrameBuffer();
+
+            if (!options.live) {
+                writeCues();
+            }
+
+            if (chapters.length > 0) {
+                writeChapters();
+            }
+
+            let
+                tagList = collectTags();
+
+            if (tagList.length > 0) {
+                writeTags(tagList);
+            }
+
+            if (attachments.length > 0) {
+                writeAttachments();
+            }
+
+            /*
+             * Now the file is at its final length and the position of all elements is known, seek back to the
+             * header and update pointers (an unseekable stream has already been sent, so it's left alone):
+             */
+
+            if (seekable) {
+                rewriteSeekHead();
+                rewriteDuration();
+                rewriteSegmentLength();
+            }
+
+            return blobBuffer.complete(options.container === "matroska" ? 'video/x-matroska' : 'video/webm');
+        });
+
+        return completion;
+    };
 
-        rewriteSeekHead();
-        rewriteDuration();
-        rewriteSegmentLength();
+    /**
+     * Stop writing the video, e.g. because the user cancelled the recording. Writes that haven't begun yet are dropped,
+     * buffered frames and data are released, and the destination is told to discard the partial video where it can
+     * (a stream is aborted, a file picked with showSaveFilePicker() is left unchanged). Files written using `fd` or
+     * `syncAccessHandle` keep the data written so far, for you to delete.
+     *
+     * Afterwards, adding frames throws the reason, and complete() rejects with it. Frames that addFrame() was still
+     * encoding are dropped, and the Promises it returned for them resolve.
+     *
+     * @param {*} [reason] - The error to stop with, by default an Error saying writing was aborted
+     *
+     * @return {Promise} Resolves once the write in progress (if any) has finished and the destination was aborted
+     */
+    this.abort = function(reason) {
+        aborted = true;
+        clusterFrameBuffer = [];
+        clusterBufferedBytes = 0;
+        cues = [];
 
-        return blobBuffer.complete('video/webm');
+        return blobBuffer.abort(reason);
     };
 
     this.getWrittenSize = function() {
         return blobBuffer.length;
     };
 
+    Object.defineProperties(this, {
+        /**
+         * A Promise which resolves once the number of writes pending at the destination is below the highWaterMark.
+         */
+        ready: {
+            get: () => blobBuffer.ready
+        },
+
+        /**
+         * The number of writes that may still be started before the highWaterMark is reached (zero or negative when
+         * the producer should wait for `ready`).
+         */
+        desiredSize: {
+            get: () => blobBuffer.desiredSize
+        }
+    });
+
     options = extend(optionDefaults, options || {});
     validateOptions();
+
+    blobBuffer = new BlobBuffer(createOutputSink());
+    blobBuffer.highWaterMark = options.highWaterMark;
+
+    seekable = !options.live && blobBuffer.seekable;
 }
 
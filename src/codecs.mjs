@@ -0,0 +1,583 @@
+/**
+ * Codec-specific knowledge needed to describe a track in the Tracks element (CodecID, CodecName, CodecPrivate).
+ *
+ * Released under the WTFPLv2 https://en.wikipedia.org/wiki/WTFPL
+ */
+
+/**
+ * @typedef {Object} CodecDescription
+ * @property {String} id - Matroska CodecID
+ * @property {String} name - Human-readable CodecName
+ * @property {?Uint8Array} codecPrivate - CodecPrivate payload, or null if the codec doesn't need one
+ */
+
+/**
+ * Parse a WebCodecs VP9 codec string like "vp09.00.10.08.01" into its fields.
+ *
+ * Fields which aren't present in the string are left undefined.
+ *
+ * @param {String} codecString
+ *
+ * @returns {{profile: ?Number, level: ?Number, bitDepth: ?Number, chromaSubsampling: ?Number}}
+ */
+export function parseVP9CodecString(codecString) {
+    let
+        parts = /^vp09((?:\.\d+)*)$/i.exec(codecString || ""),
+        fields = parts ? parts[1].split(".").slice(1).map(Number) : [];
+
+    return {
+        profile: fields[0],
+        level: fields[1],
+        bitDepth: fields[2],
+        chromaSubsampling: fields[3]
+    };
+}
+
+/**
+ * Build the CodecPrivate for a VP9 track, which is a list of (ID, length, value) feature triplets. Features whose
+ * values are undefined are omitted, as the spec allows.
+ *
+ * @param {{profile: ?Number, level: ?Number, bitDepth: ?Number, chromaSubsampling: ?Number}} features
+ *
+ * @returns {Uint8Array}
+ */
+export function createVP9CodecPrivate(features) {
+    let
+        result = [],
+        values = [features.profile, features.level, features.bitDepth, features.chromaSubsampling];
+
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] !== undefined && !isNaN(values[i])) {
+            result.push(
+                i + 1,    // Feature ID (1 = profile, 2 = level, 3 = bit depth, 4 = chroma subsampling)
+                1,        // Length
+                values[i]
+            );
+        }
+    }
+
+    return new Uint8Array(result);
+}
+
+const
+    AV1_OBU_SEQUENCE_HEADER = 1,
+    AV1_OBU_TEMPORAL_DELIMITER = 2;
+
+/**
+ * Parse a WebCodecs AV1 codec string like "av01.0.04M.10.0.112.09.16.09.0" into the fields of an
+ * AV1CodecConfigurationRecord. The optional trailing fields default to 4:2:0 colour.
+ *
+ * @param {String} codecString
+ *
+ * @returns {{profile: Number, level: Number, tier: Number, bitDepth: Number, monochrome: Number,
+ *            chromaSubsamplingX: Number, chromaSubsamplingY: Number, chromaSamplePosition: Number}}
+ */
+export function parseAV1CodecString(codecString) {
+    let
+        parts = /^av01\.(\d)\.(\d\d)([MH])\.(\d\d)(?:\.(\d)(?:\.(\d)(\d)(\d))?)?/i.exec(codecString || "");
+
+    if (!parts) {
+        return {
+            profile: 0,
+            level: 0,
+            tier: 0,
+            bitDepth: 8,
+            monochrome: 0,
+            chromaSubsamplingX: 1,
+            chromaSubsamplingY: 1,
+            chromaSamplePosition: 0
+        };
+    }
+
+    return {
+        profile: Number(parts[1]),
+        level: Number(parts[2]),
+        tier: parts[3].toUpperCase() === "H" ? 1 : 0,
+        bitDepth: Number(parts[4]),
+        monochrome: Number(parts[5] || 0),
+        chromaSubsamplingX: Number(parts[6] === undefined ? 1 : parts[6]),
+        chromaSubsamplingY: Number(parts[7] === undefined ? 1 : parts[7]),
+        chromaSamplePosition: Number(parts[8] || 0)
+    };
+}
+
+/**
+ * Read an unsigned LEB128 integer.
+ *
+ * @param {Uint8Array} data
+ * @param {Number} offset
+ *
+ * @returns {{value: Number, length: Number}}
+ */
+function readLEB128(data, offset) {
+    let
+        value = 0;
+
+    for (let i = 0; i < 8; i++) {
+        if (offset + i >= data.length) {
+            break;
+        }
+
+        let
+            b = data[offset + i];
+
+        value += (b & 0x7F) * Math.pow(2, i * 7);
+
+        if (!(b & 0x80)) {
+            return {value: value, length: i + 1};
+        }
+    }
+
+    throw new Error("Bad LEB128 value in AV1 OBU");
+}
+
+/**
+ * @param {Number} value
+ *
+ * @returns {Number[]}
+ */
+function encodeLEB128(value) {
+    let
+        result = [];
+
+    do {
+        let
+            b = value % 128;
+
+        value = Math.floor(value / 128);
+        result.push(value > 0 ? b | 0x80 : b);
+    } while (value > 0);
+
+    return result;
+}
+
+/**
+ * Split an AV1 temporal unit in the low-overhead bitstream format into its OBUs.
+ *
+ * @param {Uint8Array} data
+ *
+ * @returns {{type: Number, header: Uint8Array, payload: Uint8Array}[]}
+ */
+export function parseAV1OBUs(data) {
+    let
+        result = [],
+        cursor = 0;
+
+    while (cursor < data.length) {
+        let
+            headerStart = cursor,
+            type = (data[cursor] >> 3) & 0x0F,
+            hasExtension = (data[cursor] & 0x04) !== 0,
+            hasSize = (data[cursor] & 0x02) !== 0,
+            headerEnd = cursor + (hasExtension ? 2 : 1),
+            payloadSize;
+
+        cursor = headerEnd;
+
+        if (hasSize) {
+            let
+                size = readLEB128(data, cursor);
+
+            cursor += size.length;
+            payloadSize = size.value;
+        } else {
+            // Without a size field the OBU extends to the end of the temporal unit
+            payloadSize = data.length - cursor;
+        }
+
+        if (cursor + payloadSize > data.length) {
+            throw new Error("AV1 OBU extends beyond the end of the temporal unit");
+        }
+
+        result.push({
+            type: type,
+            header: data.subarray(headerStart, headerEnd),
+            payload: data.subarray(cursor, cursor + payloadSize)
+        });
+
+        cursor += payloadSize;
+    }
+
+    return result;
+}
+
+/**
+ * Serialize the given OBUs with obu_has_size_field set on every one of them.
+ *
+ * @param {{header: Uint8Array, payload: Uint8Array}[]} obus
+ *
+ * @returns {Uint8Array}
+ */
+export function writeAV1OBUs(obus) {
+    let
+        parts = obus.map(obu => [obu.header, encodeLEB128(obu.payload.length), obu.payload]),
+        length = parts.reduce((total, part) => total + part[0].length + part[1].length + part[2].length, 0),
+        result = new Uint8Array(length),
+        cursor = 0;
+
+    for (let part of parts) {
+        result.set(part[0], cursor);
+        result[cursor] |= 0x02; // obu_has_size_field
+        cursor += part[0].length;
+
+        result.set(part[1], cursor);
+        cursor += part[1].length;
+
+        result.set(part[2], cursor);
+        cursor += part[2].length;
+    }
+
+    return result;
+}
+
+/**
+ * Find the Sequence Header OBU in the given temporal unit.
+ *
+ * @param {Uint8Array} data
+ *
+ * @returns {?Uint8Array} The complete OBU (with a size field), or null if there isn't one
+ */
+export function findAV1SequenceHeader(data) {
+    let
+        obu = parseAV1OBUs(data).find(obu => obu.type === AV1_OBU_SEQUENCE_HEADER);
+
+    return obu ? writeAV1OBUs([obu]) : null;
+}
+
+/**
+ * Convert an AV1 temporal unit to the form the Matroska AV1 mapping requires for a Block: Temporal Delimiter OBUs
+ * are removed, and keyframes begin with the Sequence Header OBU so that playback can start from any of them.
+ *
+ * @param {Uint8Array} data - Temporal unit in the low-overhead bitstream format
+ * @param {boolean} keyframe
+ * @param {Uint8Array} sequenceHeader - The Sequence Header OBU from the track's CodecPrivate
+ *
+ * @returns {Uint8Array}
+ */
+export function prepareAV1TemporalUnit(data, keyframe, sequenceHeader) {
+    let
+        obus = parseAV1OBUs(data).filter(obu => obu.type !== AV1_OBU_TEMPORAL_DELIMITER);
+
+    if (keyframe && sequenceHeader && !obus.some(obu => obu.type === AV1_OBU_SEQUENCE_HEADER)) {
+        obus = parseAV1OBUs(sequenceHeader).concat(obus);
+    }
+
+    return writeAV1OBUs(obus);
+}
+
+/**
+ * Build an AV1CodecConfigurationRecord ("av1C") for the track's CodecPrivate.
+ *
+ * @param {Object} config - As returned by parseAV1CodecString()
+ * @param {?Uint8Array} sequenceHeader - Sequence Header OBU to include in the configOBUs
+ *
+ * @returns {Uint8Array}
+ */
+export function createAV1CodecPrivate(config, sequenceHeader) {
+    let
+        result = new Uint8Array(4 + (sequenceHeader ? sequenceHeader.length : 0));
+
+    result[0] = 0x81; // Marker bit and version 1
+    result[1] = (config.profile << 5) | config.level;
+    result[2] = (config.tier << 7)
+        | ((config.bitDepth > 8 ? 1 : 0) << 6)
+        | ((config.bitDepth === 12 ? 1 : 0) << 5)
+        | (config.monochrome << 4)
+        | (config.chromaSubsamplingX << 3)
+        | (config.chromaSubsamplingY << 2)
+        | config.chromaSamplePosition;
+    result[3] = 0; // No initial_presentation_delay
+
+    if (sequenceHeader) {
+        result.set(sequenceHeader, 4);
+    }
+
+    return result;
+}
+
+/**
+ * Describe the video codec with the given name.
+ *
+ * @param {String} codec - "vp8", "vp9" or "av1", or a full WebCodecs codec string like "vp09.00.10.08"
+ * @param {Object} [codecOptions] - Explicit settings for the codec which override ones derived from the codec string
+ *                                  (for VP9: profile, level, bitDepth, chromaSubsampling. For AV1: profile, level,
+ *                                  tier, bitDepth, monochrome, chromaSubsamplingX, chromaSubsamplingY,
+ *                                  chromaSamplePosition)
+ * @param {Object} [initData] - Codec initialization data from the encoder. For AV1, either `description` (a complete
+ *                              av1C record) or `sequenceHeader` (the Sequence Header OBU from the first keyframe).
+ *
+ * @returns {CodecDescription}
+ */
+export function describeVideoCodec(codec, codecOptions, initData) {
+    let
+        name = (codec || "").toLowerCase();
+
+    if (name === "vp8") {
+        return {
+            id: "V_VP8",
+            name: "VP8",
+            codecPrivate: null
+        };
+    }
+
+    if (name === "vp9" || name.startsWith("vp09.")) {
+        let
+            features = parseVP9CodecString(name);
+
+        for (let key in codecOptions) {
+            if (key in features) {
+                features[key] = codecOptions[key];
+            }
+        }
+
+        let
+            codecPrivate = createVP9CodecPrivate(features);
+
+        return {
+            id: "V_VP9",
+            name: "VP9",
+            codecPrivate: codecPrivate.length > 0 ? codecPrivate : null
+        };
+    }
+
+    if (name === "av1" || name.startsWith("av01.")) {
+        let
+            codecPrivate;
+
+        if (initData && initData.description && initData.description[0] === 0x81) {
+            codecPrivate = initData.description;
+        } else {
+            let
+                config = parseAV1CodecString(name);
+
+            for (let key in codecOptions) {
+                if (key in config) {
+                    config[key] = codecOptions[key];
+                }
+            }
+
+            codecPrivate = createAV1CodecPrivate(config, initData ? initData.sequenceHeader : null);
+        }
+
+        return {
+            id: "V_AV1",
+            name: "AV1",
+            codecPrivate: codecPrivate
+        };
+    }
+
+    throw new Error("Unsupported video codec " + codec);
+}
+
+/**
+ * Opus is always decoded at 48kHz, and the Matroska mapping recommends 80ms of pre-roll after a seek.
+ */
+const
+    OPUS_SAMPLE_RATE = 48000,
+    OPUS_SEEK_PRE_ROLL_NS = 80000000;
+
+/**
+ * Build an Opus identification header ("OpusHead") for a mono or stereo stream (channel mapping family 0).
+ *
+ * @param {{channels: Number, preSkip: Number, inputSampleRate: Number, outputGain: Number}} config
+ *
+ * @returns {Uint8Array}
+ */
+export function createOpusHead(config) {
+    let
+        result = new Uint8Array(19),
+        view = new DataView(result.buffer);
+
+    if (!(config.channels === 1 || config.channels === 2)) {
+        throw new Error("Only mono and stereo Opus streams are supported without an OpusHead description");
+    }
+
+    result.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64], 0); // "OpusHead"
+    result[8] = 1; // Version
+    result[9] = config.channels;
+    view.setUint16(10, config.preSkip || 0, true);
+    view.setUint32(12, config.inputSampleRate || OPUS_SAMPLE_RATE, true);
+    view.setInt16(16, config.outputGain || 0, true);
+    result[18] = 0; // Channel mapping family
+
+    return result;
+}
+
+/**
+ * Combine the given packets using Xiph lacing, as used for the CodecPrivate of Vorbis tracks.
+ *
+ * @param {Uint8Array[]} packets
+ *
+ * @returns {Uint8Array}
+ */
+export function xiphLace(packets) {
+    let
+        header = [packets.length - 1];
+
+    // The size of the last packet is implied by the total size
+    for (let i = 0; i < packets.length - 1; i++) {
+        let
+            size = packets[i].length;
+
+        while (size >= 255) {
+            header.push(255);
+            size -= 255;
+        }
+
+        header.push(size);
+    }
+
+    let
+        result = new Uint8Array(header.length + packets.reduce((total, packet) => total + packet.length, 0)),
+        cursor = header.length;
+
+    result.set(header, 0);
+
+    for (let packet of packets) {
+        result.set(packet, cursor);
+        cursor += packet.length;
+    }
+
+    return result;
+}
+
+/**
+ * Split Xiph-laced data back into its packets.
+ *
+ * @param {Uint8Array} data
+ *
+ * @returns {Uint8Array[]}
+ */
+export function xiphUnlace(data) {
+    let
+        count = data[0] + 1,
+        sizes = [],
+        cursor = 1,
+        result = [];
+
+    for (let i = 0; i < count - 1; i++) {
+        let
+            size = 0;
+
+        while (data[cursor] === 255) {
+            size += 255;
+            cursor++;
+        }
+
+        size += data[cursor++];
+        sizes.push(size);
+    }
+
+    for (let i = 0; i < count; i++) {
+        let
+            size = i < sizes.length ? sizes[i] : data.length - cursor;
+
+        result.push(data.subarray(cursor, cursor + size));
+        cursor += size;
+    }
+
+    return result;
+}
+
+/**
+ * @typedef {Object} AudioCodecDescription
+ * @property {String} id - Matroska CodecID
+ * @property {String} name - Human-readable CodecName
+ * @property {?Uint8Array} codecPrivate
+ * @property {Number} sampleRate - Output sampling frequency
+ * @property {Number} channels
+ * @property {Number} codecDelay - In nanoseconds
+ * @property {Number} seekPreRoll - In nanoseconds
+ */
+
+/**
+ * Describe an audio track.
+ *
+ * @param {Object} audioOptions - {codec, sampleRate, channels, preSkip}, and for Vorbis `headers` (the
+ *                                identification, comment and setup header packets)
+ * @param {?Uint8Array} [description] - Codec initialization data from the encoder (for Opus, the OpusHead, for
+ *                                      Vorbis, the Xiph-laced header packets)
+ *
+ * @returns {AudioCodecDescription}
+ */
+export function describeAudioCodec(audioOptions, description) {
+    let
+        name = (audioOptions.codec || "").toLowerCase();
+
+    if (name === "opus") {
+        let
+            opusHead = description && description.length >= 19 ? description : createOpusHead({
+                channels: audioOptions.channels,
+                preSkip: audioOptions.preSkip,
+                inputSampleRate: audioOptions.sampleRate
+            }),
+            view = new DataView(opusHead.buffer, opusHead.byteOffset, opusHead.byteLength),
+            preSkip = view.getUint16(10, true);
+
+        return {
+            id: "A_OPUS",
+            name: "Opus",
+            codecPrivate: opusHead,
+            sampleRate: OPUS_SAMPLE_RATE,
+            channels: opusHead[9],
+            codecDelay: Math.round(preSkip * 1e9 / OPUS_SAMPLE_RATE),
+            seekPreRoll: OPUS_SEEK_PRE_ROLL_NS
+        };
+    }
+
+    if (name === "vorbis") {
+        let
+            headers = description ? xiphUnlace(description) : audioOptions.headers;
+
+        if (!headers || headers.length !== 3) {
+            throw new Error("Vorbis tracks need the three Vorbis header packets");
+        }
+
+        let
+            identification = headers[0],
+            view = new DataView(identification.buffer, identification.byteOffset, identification.byteLength);
+
+        if (identification[0] !== 1 || String.fromCharCode.apply(null, identification.subarray(1, 7)) !== "vorbis") {
+            throw new Error("The first Vorbis header packet must be the identification header");
+        }
+
+        return {
+            id: "A_VORBIS",
+            name: "Vorbis",
+            codecPrivate: description || xiphLace(headers),
+            sampleRate: view.getUint32(12, true),
+            channels: identification[11],
+            codecDelay: 0,
+            seekPreRoll: 0
+        };
+    }
+
+    throw new Error("Unsupported audio codec " + audioOptions.codec);
+}
+
+/**
+ * The kinds of WebVTT text track that WebM can hold, following the HTML5 <track> element.
+ */
+const WEBVTT_KINDS = ["subtitles", "captions", "descriptions"];
+
+/**
+ * Describe a WebVTT text track.
+ *
+ * @param {Object} subtitleOptions - {kind}, where `kind` is "subtitles" (the default), "captions" or "descriptions"
+ *
+ * @returns {CodecDescription}
+ */
+export function describeSubtitleCodec(subtitleOptions) {
+    let
+        kind = (subtitleOptions.kind || "subtitles").toLowerCase();
+
+    if (WEBVTT_KINDS.indexOf(kind) === -1) {
+        throw new Error("Unsupported kind of text track " + subtitleOptions.kind);
+    }
+
+    return {
+        id: "D_WEBVTT/" + kind.toUpperCase(),
+        name: "WebVTT",
+        codecPrivate: null
+    };
+}
@@ -0,0 +1,434 @@
+/**
+ * Sinks are the destinations that the finished bytes of the video are written to.
+ *
+ * Released under the WTFPLv2 https://en.wikipedia.org/wiki/WTFPL
+ */
+
+/**
+ * A destination for the video. Besides the sinks in this module, you can pass any object with these methods as the
+ * `sink` option of the WebMWriter.
+ *
+ * Writes are made one at a time: the next write only begins once the promise returned by the previous one resolves.
+ * Most writes append to the end of the file, but some go back to fill in the header once the video is complete. Those
+ * only ever replace the whole or a part of the data of one earlier write. Sinks that can't go back (streams) set
+ * `seekable` to false, so the video is written without them.
+ *
+ * If a write throws or rejects, no more writes are made, close() isn't called, and WebMWriter.complete() rejects with
+ * that error.
+ *
+ * @typedef {Object} Sink
+ * @property {function(Number, Uint8Array): (Promise|undefined)} write - Write the bytes at the given offset in the file.
+ *                                                                       The bytes may not be modified afterwards.
+ * @property {function(String): *} close - Called once all writes have finished, with the MIME type of the video. The
+ *                                         value it returns (or resolves to) is the result of WebMWriter.complete().
+ * @property {boolean} [seekable] - False if the sink can only append, by default sinks are assumed to be seekable
+ * @property {boolean} [synchronous] - True if write() has finished by the time it returns, so that writes can be made
+ *                                     immediately instead of being queued
+ * @property {function(*): *} [abort] - Called with the reason when the video is aborted, to discard the partial video
+ *                                      or release resources. No more writes are made.
+ */
+
+/**
+ * Buffers the video in memory, then creates a Blob of it.
+ *
+ * @implements {Sink}
+ */
+export class MemorySink {
+    // The writes which make up the file, in order of their offsets
+    entries = [];
+
+    length = 0;
+
+    write(offset, bytes) {
+        if (offset >= this.length) {
+            this.entries.push({ offset: offset, data: bytes });
+            this.length = offset + bytes.length;
+            return;
+        }
+
+        // Slow linear search to find the block we're overwriting
+        const entry = this.entries.find(entry => offset < entry.offset + entry.data.length);
+
+        if (offset < entry.offset || offset + bytes.length > entry.offset + entry.data.length) {
+            throw new Error("Overwrite crosses blob boundaries");
+        }
+
+        if (offset === entry.offset && bytes.length === entry.data.length) {
+            // We overwrote the entire block
+            entry.data = bytes;
+        } else {
+            entry.data.set(bytes, offset - entry.offset);
+        }
+    }
+
+    close(mimeType) {
+        return new Blob(this.entries.map(entry => entry.data), { type: mimeType });
+    }
+
+    abort() {
+        this.entries = [];
+    }
+}
+
+/**
+ * Writes to a FileWriter from Chrome's legacy FileSystem API.
+ *
+ * @implements {Sink}
+ */
+export class FileWriterSink {
+    constructor(fileWriter) {
+        this.fileWriter = fileWriter;
+    }
+
+    write(offset, bytes) {
+        return new Promise((resolve, reject) => {
+            // A failed write fires error before writeend
+            this.fileWriter.onerror = () => reject(this.fileWriter.error);
+            this.fileWriter.onwriteend = resolve;
+
+            this.fileWriter.seek(offset);
+            this.fileWriter.write(new Blob([bytes]));
+        });
+    }
+
+    close() {
+        return null;
+    }
+
+    abort() {
+        if (this.fileWriter.readyState === 1 /* WRITING */) {
+            this.fileWriter.abort();
+        }
+    }
+}
+
+/**
+ * Writes to a file using the File System Access API, e.g. one that the user picked with showSaveFilePicker().
+ *
+ * The file's contents are only replaced once the stream is closed, which happens when the video is complete.
+ *
+ * @implements {Sink}
+ */
+export class FileSystemWritableFileStreamSink {
+    /**
+     * @param {FileSystemFileHandle|FileSystemWritableFileStream} destination - Given a handle, a writable stream is
+     *                                                                          opened for it on the first write
+     */
+    constructor(destination) {
+        if (typeof destination.createWritable === "function") {
+            this.fileHandle = destination;
+            this.stream = null;
+        } else {
+            this.fileHandle = null;
+            this.stream = destination;
+        }
+    }
+
+    async write(offset, bytes) {
+        if (!this.stream) {
+            this.stream = await this.fileHandle.createWritable();
+        }
+
+        // A positioned write, since we go back to fill in the header at the end
+        await this.stream.write({ type: "write", position: offset, data: bytes });
+    }
+
+    async close() {
+        if (this.stream) {
+            await this.stream.close();
+        }
+
+        return null;
+    }
+
+    /**
+     * Discard the stream, leaving the file as it was.
+     */
+    async abort(reason) {
+        if (this.stream) {
+            await this.stream.abort(reason);
+        }
+    }
+}
+
+/**
+ * Writes to a file in the Origin Private File System through a FileSystemSyncAccessHandle (only available in Workers).
+ * Writes are made synchronously, so the video isn't held in memory at all.
+ *
+ * @implements {Sink}
+ */
+export class SyncAccessHandleSink {
+    synchronous = true;
+
+    // One more than the index of the highest byte written
+    length = 0;
+
+    /**
+     * @param {FileSystemSyncAccessHandle} accessHandle
+     * @param {FileSystemFileHandle} [fileHandle] - The handle of the same file, for close() to return the File
+     */
+    constructor(accessHandle, fileHandle) {
+        this.accessHandle = accessHandle;
+        this.fileHandle = fileHandle || null;
+    }
+
+    write(offset, bytes) {
+        let
+            totalWritten = 0;
+
+        while (totalWritten < bytes.length) {
+            totalWritten += this.accessHandle.write(bytes.subarray(totalWritten), { at: offset + totalWritten });
+        }
+
+        this.length = Math.max(this.length, offset + bytes.length);
+    }
+
+    /**
+     * Close the access handle, resolving with the finished File if the file handle was given (or else null).
+     *
+     * @returns {Promise<?File>}
+     */
+    close() {
+        // Remove anything left over from a longer file that was there before
+        this.accessHandle.truncate(this.length);
+        this.accessHandle.flush();
+        this.accessHandle.close();
+
+        return this.fileHandle ? this.fileHandle.getFile() : Promise.resolve(null);
+    }
+
+    /**
+     * Release the file's lock, leaving the partial video in it.
+     */
+    abort() {
+        this.accessHandle.close();
+    }
+}
+
+/**
+ * Writes to a file descriptor using Node's callback-based fs module. The file descriptor is left open.
+ *
+ * @implements {Sink}
+ */
+export class FsSink {
+    /**
+     * @param {Number} fd
+     * @param {Object} [fs] - Node's fs module, by default the built-in module is used where available (Node 20.16,
+     *                        22.3 and later)
+     */
+    constructor(fd, fs) {
+        this.fd = fd;
+        this.fs = fs || (typeof process === "object" && process.getBuiltinModule ? process.getBuiltinModule("fs") : null);
+
+        if (!this.fs) {
+            throw new Error("Writing to a file descriptor needs Node's fs module, pass it as the fs option");
+        }
+    }
+
+    write(offset, bytes) {
+        return new Promise((resolve, reject) => {
+            let
+                totalWritten = 0;
+
+            const handleWriteComplete = (err, written) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                totalWritten += written;
+
+                if (totalWritten >= bytes.length) {
+                    resolve();
+                } else {
+                    // We still have more to write...
+                    this.fs.write(
+                        this.fd, bytes, totalWritten, bytes.length - totalWritten, offset + totalWritten,
+                        handleWriteComplete
+                    );
+                }
+            };
+
+            this.fs.write(this.fd, bytes, 0, bytes.length, offset, handleWriteComplete);
+        });
+    }
+
+    close() {
+        return null;
+    }
+}
+
+/**
+ * Writes to a FileHandle from Node's fs/promises module. The handle is left open.
+ *
+ * @implements {Sink}
+ */
+export class FileHandleSink {
+    constructor(fileHandle) {
+        this.fileHandle = fileHandle;
+    }
+
+    async write(offset, bytes) {
+        let
+            totalWritten = 0;
+
+        while (totalWritten < bytes.length) {
+            const { bytesWritten } = await this.fileHandle.write(
+                bytes, totalWritten, bytes.length - totalWritten, offset + totalWritten
+            );
+
+            totalWritten += bytesWritten;
+        }
+    }
+
+    close() {
+        return null;
+    }
+}
+
+/**
+ * Writes to a Node stream.Writable, e.g. the stdin of a child process or an HTTP response. The stream is ended once
+ * the video is complete.
+ *
+ * @implements {Sink}
+ */
+export class NodeWritableSink {
+    seekable = false;
+
+    constructor(writable) {
+        this.writable = writable;
+        this.error = null;
+
+        // Keep the error to fail the next write with, since an error event without a listener would be thrown
+        this.writable.on("error", error => {
+            this.error = error;
+        });
+    }
+
+    async write(offset, bytes) {
+        this.checkWritable();
+
+        // Wait for the stream's buffer to drain before making the next write
+        if (!this.writable.write(bytes)) {
+            await new Promise(resolve => {
+                const
+                    done = () => {
+                        this.writable.off("drain", done);
+                        this.writable.off("close", done);
+                        resolve();
+                    };
+
+                // A stream that is destroyed (e.g. because it failed) closes instead of draining
+                this.writable.once("drain", done);
+                this.writable.once("close", done);
+            });
+
+            this.checkWritable();
+        }
+    }
+
+    checkWritable() {
+        if (this.error) {
+            throw this.error;
+        }
+
+        if (this.writable.destroyed) {
+            throw new Error("The stream was destroyed");
+        }
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.writable.end(error => (error ? reject(error) : resolve(null)));
+        });
+    }
+
+    abort() {
+        this.writable.destroy();
+    }
+}
+
+/**
+ * Writes to a WHATWG WritableStream. The stream is closed once the video is complete.
+ *
+ * @implements {Sink}
+ */
+export class WritableStreamSink {
+    seekable = false;
+
+    constructor(stream) {
+        this.writer = stream.getWriter();
+    }
+
+    async write(offset, bytes) {
+        // Wait until the stream's queue has room, like a pipe would
+        await this.writer.ready;
+
+        // A failed write also rejects `ready` and close(), which report it
+        this.writer.write(bytes).catch(() => {});
+    }
+
+    async close() {
+        await this.writer.close();
+
+        return null;
+    }
+
+    abort(reason) {
+        return this.writer.abort(reason);
+    }
+}
+
+/**
+ * Choose the sink which writes to the given destination.
+ *
+ * @param {*} destination - A sink, a File System Access API file handle, sync access handle or writable stream, a
+ *                             FileWriter, a Node FileHandle or file descriptor, a Node stream.Writable or a
+ *                             WritableStream, or null to buffer the video in memory
+ * @param {Object} [fs] - Node's fs module, for writing to a file descriptor
+ *
+ * @return {Sink}
+ */
+export function createSink(destination, fs) {
+    if (destination === null || destination === undefined) {
+        return new MemorySink();
+    }
+
+    if (typeof destination === "number") {
+        return new FsSink(destination, fs);
+    }
+
+    if (destination.constructor.name === "FileWriter") {
+        return new FileWriterSink(destination);
+    }
+
+    if (destination.constructor.name === "FileSystemSyncAccessHandle") {
+        return new SyncAccessHandleSink(destination);
+    }
+
+    if (destination.constructor.name === "FileSystemFileHandle"
+            || destination.constructor.name === "FileSystemWritableFileStream") {
+        return new FileSystemWritableFileStreamSink(destination);
+    }
+
+    // Like a FileSystemWritableFileStream, has write() and close() methods, but not those of a sink
+    if (destination.constructor.name === "FileHandle") {
+        return new FileHandleSink(destination);
+    }
+
+    if (typeof destination.getWriter === "function") {
+        return new WritableStreamSink(destination);
+    }
+
+    // Some Node streams have a close() method too, so check for them first
+    if (typeof destination.write === "function" && typeof destination.end === "function"
+            && typeof destination.once === "function") {
+        return new NodeWritableSink(destination);
+    }
+
+    if (typeof destination.write === "function" && typeof destination.close === "function") {
+        return destination;
+    }
+
+    throw new Error("Unsupported destination for the video");
+}
@@ -13,24 +13,85 @@ export function extend(base, top) {
 }
 
 /**
- * Decode a Base64 data URL into a binary string.
+ * Decode a Base64 string into bytes, using atob() where available (browsers) or Buffer (Node).
  *
- * @return {String} The binary string
+ * @param {String} base64
+ *
+ * @return {Uint8Array}
+ */
+export function decodeBase64(base64) {
+    if (typeof atob !== "function") {
+        let
+            buffer = Buffer.from(base64, "base64");
+
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+
+    let
+        binary = atob(base64),
+        result = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        result[i] = binary.charCodeAt(i);
+    }
+
+    return result;
+}
+
+/**
+ * Decode a Base64 WebP data URL into bytes.
+ *
+ * @return {Uint8Array} The WebP file
  */
 export function decodeBase64WebPDataURL(url) {
     if (typeof url !== "string" || !url.match(/^data:image\/webp;base64,/i)) {
         throw new Error("Failed to decode WebP Base64 URL");
     }
 
-    return window.atob(url.substring("data:image\/webp;base64,".length));
+    return decodeBase64(url.substring("data:image\/webp;base64,".length));
+}
+
+/**
+ * Check if the given value is a byte array (Uint8Array, Node Buffer, ArrayBuffer or other ArrayBufferView) rather
+ * than an image.
+ *
+ * @return {boolean}
+ */
+export function isByteArray(thing) {
+    return thing instanceof ArrayBuffer || ArrayBuffer.isView(thing);
+}
+
+/**
+ * Present the given ArrayBuffer or ArrayBufferView as a Uint8Array without copying it.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} thing
+ *
+ * @return {Uint8Array}
+ */
+export function toUint8Array(thing) {
+    if (thing instanceof Uint8Array) {
+        return thing;
+    } else if (thing instanceof ArrayBuffer) {
+        return new Uint8Array(thing);
+    }
+
+    return new Uint8Array(thing.buffer, thing.byteOffset, thing.byteLength);
 }
 
 /**
- * Convert the given canvas to a WebP encoded image and return the image data as a string.
+ * Convert the given canvas to a WebP encoded image and return the image data as bytes.
  *
- * @return {String}
+ * @param {HTMLCanvasElement|String|Uint8Array|ArrayBuffer} canvas - A canvas, a WebP data URL, or the bytes of a
+ *                                                                 WebP file
+ * @param {Number} quality
+ *
+ * @return {Uint8Array}
  */
 export function renderAsWebP(canvas, quality) {
+    if (isByteArray(canvas)) {
+        return toUint8Array(canvas);
+    }
+
     let
         frame = typeof canvas === 'string' && /^data:image\/webp/.test(canvas)
             ? canvas
@@ -40,56 +101,169 @@ export function renderAsWebP(canvas, quality) {
 }
 
 /**
- * @param {String} string
- * @returns {number}
+ * Check if the given image can be encoded to WebP synchronously by renderAsWebP() (i.e. it is a canvas with
+ * toDataURL(), a WebP data URL, or the bytes of a WebP file).
+ *
+ * @return {boolean}
+ */
+export function canRenderSynchronously(image) {
+    return typeof image === "string" || isByteArray(image) || typeof image.toDataURL === "function";
+}
+
+/**
+ * Create a canvas of the given size. A regular canvas element is used where there is a document (so it can be
+ * encoded synchronously), otherwise (e.g. in a Worker) an OffscreenCanvas.
+ *
+ * @return {HTMLCanvasElement|OffscreenCanvas}
  */
-export function byteStringToUint32LE(string) {
+export function createCanvas(width, height) {
     let
-        a = string.charCodeAt(0),
-        b = string.charCodeAt(1),
-        c = string.charCodeAt(2),
-        d = string.charCodeAt(3);
+        canvas;
+
+    if (typeof document !== "undefined") {
+        canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+    } else if (typeof OffscreenCanvas !== "undefined") {
+        canvas = new OffscreenCanvas(width, height);
+    } else {
+        throw new Error("No canvas implementation is available");
+    }
 
-    return (a | (b << 8) | (c << 16) | (d << 24)) >>> 0;
+    return canvas;
 }
 
 /**
- * Extract a VP8 keyframe from a WebP image file.
+ * Check if the given image is an ImageData (or has the same shape).
+ *
+ * @return {boolean}
+ */
+function isImageData(image) {
+    return image.data instanceof Uint8ClampedArray && typeof image.width === "number" && typeof image.height === "number";
+}
+
+/**
+ * Read the pixels of the given canvas, ImageBitmap or ImageData.
  *
- * @param {String} webP - Raw binary string
+ * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData} image
  *
- * @returns {{hasAlpha: boolean, frame: string}}
+ * @return {ImageData}
  */
-export function extractKeyframeFromWebP(webP) {
+export function getImageData(image) {
+    if (isImageData(image)) {
+        return image;
+    }
+
     let
-        cursor = webP.indexOf('VP8', 12); // Start the search after the 12-byte file header
+        context = typeof image.getContext === "function" ? image.getContext("2d") : null;
+
+    if (!context) {
+        // ImageBitmaps (and canvases with a WebGL context) need to be drawn onto a 2D canvas first
+        let
+            canvas = createCanvas(image.width, image.height);
+
+        context = canvas.getContext("2d");
+        context.drawImage(image, 0, 0);
+    }
+
+    return context.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Convert the given image to a WebP encoded image and return a Promise for its bytes. In addition to the inputs that
+ * renderAsWebP() accepts, this supports OffscreenCanvas (including inside a Worker), ImageBitmap, ImageData and
+ * Blobs of WebP files.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData|Blob|String|Uint8Array|ArrayBuffer} image
+ * @param {Number} quality
+ *
+ * @return {Promise<Uint8Array>}
+ */
+export function renderAsWebPAsync(image, quality) {
+    return new Promise(function(resolve) {
+        if (canRenderSynchronously(image)) {
+            resolve(renderAsWebP(image, quality));
+        } else if (typeof Blob !== "undefined" && image instanceof Blob) {
+            resolve(image.arrayBuffer().then(buffer => new Uint8Array(buffer)));
+        } else if (typeof image.convertToBlob === "function") {
+            resolve(
+                image.convertToBlob({type: "image/webp", quality: quality})
+                    .then(blob => renderAsWebPAsync(blob, quality))
+            );
+        } else {
+            // An ImageBitmap or ImageData, which we have to paint onto a canvas to encode
+            let
+                canvas = createCanvas(image.width, image.height),
+                context = canvas.getContext("2d");
+
+            if (isImageData(image)) {
+                context.putImageData(image, 0, 0);
+            } else {
+                context.drawImage(image, 0, 0);
+            }
+
+            resolve(renderAsWebPAsync(canvas, quality));
+        }
+    });
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ *
+ * @returns {number}
+ */
+export function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
 
-    if (cursor === -1) {
+/**
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ *
+ * @returns {String}
+ */
+function readFourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Extract a VP8 keyframe from a WebP image file.
+ *
+ * @param {Uint8Array} webP - The WebP file
+ *
+ * @returns {{hasAlpha: boolean, frame: Uint8Array, width: Number, height: Number}}
+ */
+export function extractKeyframeFromWebP(webP) {
+    if (webP.length < 12 || readFourCC(webP, 0) !== "RIFF" || readFourCC(webP, 8) !== "WEBP") {
         throw new Error("Bad image format, does this browser support WebP?");
     }
 
     let
+        cursor = 12, // Start the search after the 12-byte file header
         hasAlpha = false;
 
-    /* Cursor now is either directly pointing at a "VP8 " keyframe, or a "VP8X" extended format file header
-     * Seek through chunks until we find the "VP8 " chunk we're interested in
-     */
-    while (cursor < webP.length - 8) {
+    // Seek through chunks until we find the "VP8 " chunk we're interested in
+    while (cursor <= webP.length - 8) {
         let
-            chunkLength, fourCC;
-
-        fourCC = webP.substring(cursor, cursor + 4);
-        cursor += 4;
+            fourCC = readFourCC(webP, cursor),
+            chunkLength = readUint32LE(webP, cursor + 4);
 
-        chunkLength = byteStringToUint32LE(webP.substring(cursor, cursor + 4));
-        cursor += 4;
+        cursor += 8;
 
         switch (fourCC) {
-            case "VP8 ":
+            case "VP8 ": {
+                let
+                    frame = webP.subarray(cursor, cursor + chunkLength);
+
                 return {
-                    frame: webP.substring(cursor, cursor + chunkLength),
-                    hasAlpha: hasAlpha
+                    frame: frame,
+                    hasAlpha: hasAlpha,
+                    // Keyframes begin with a 3-byte frame tag, a 3-byte start code, then the 14-bit dimensions
+                    width: (frame[6] | (frame[7] << 8)) & 0x3FFF,
+                    height: (frame[8] | (frame[9] << 8)) & 0x3FFF
                 };
+            }
 
             case "ALPH":
                 hasAlpha = true;
@@ -110,9 +284,66 @@ export function extractKeyframeFromWebP(webP) {
     throw new Error("Failed to find VP8 keyframe in WebP image, is this image mistakenly encoded in the Lossless WebP format?");
 }
 
+/**
+ * Copy the payload of an EncodedVideoChunk (or an object with a `data` BufferSource) into a Uint8Array.
+ *
+ * @param {EncodedVideoChunk|{data: ArrayBuffer|ArrayBufferView}} chunk
+ *
+ * @returns {Uint8Array}
+ */
+export function readEncodedChunkData(chunk) {
+    if (typeof chunk.copyTo === "function") {
+        let
+            result = new Uint8Array(chunk.byteLength);
+
+        chunk.copyTo(result);
+
+        return result;
+    }
+
+    if (isByteArray(chunk.data)) {
+        return toUint8Array(chunk.data);
+    }
+
+    throw new Error("Encoded chunk has no data");
+}
+
+/**
+ * Encode a string as UTF-8, which is what EBML's "UTF-8" elements (like titles and names) hold.
+ *
+ * @param {String} string
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeUTF8(string) {
+    return new TextEncoder().encode(string);
+}
+
+/**
+ * Create a Void element which occupies exactly the given number of bytes (at least 2), used to blank out space
+ * that was reserved in the file but turned out not to be needed.
+ *
+ * @param {Number} length - Total size of the element, including its ID and size fields
+ */
+export function createVoidElement(length) {
+    for (let sizeWidth = 1; ; sizeWidth++) {
+        let
+            payloadLength = length - 1 - sizeWidth;
+
+        // The all-ones size value is reserved, so it can't be used
+        if (payloadLength < Math.pow(2, 7 * sizeWidth) - 1) {
+            return {
+                "id": 0xEC, // Void
+                "sizeWidth": sizeWidth,
+                "data": new Uint8Array(payloadLength)
+            };
+        }
+    }
+}
+
 export const
     EBML_SIZE_UNKNOWN = -1,
-    EBML_SIZE_UNKNOWN_5_BYTES = -2;
+    EBML_SIZE_UNKNOWN_8_BYTES = -2;
 
 // Just a little utility so we can tag values as floats for the EBML encoder's benefit
 export function EBMLFloat32(value) {
@@ -123,6 +354,42 @@ export function EBMLFloat64(value) {
     this.value = value;
 }
 
+export function EBMLSignedInt(value) {
+    this.value = value;
+}
+
+// A Date, or a number of milliseconds since the Unix epoch
+export function EBMLDate(value) {
+    this.value = value;
+}
+
+// The largest size that fits in a 4-byte EBML VINT (all-ones is reserved)
+const MAX_4_BYTE_EBML_SIZE = Math.pow(2, 28) - 1;
+
+// EBML dates count nanoseconds from the start of the millennium
+const EBML_DATE_EPOCH = Date.UTC(2001, 0, 1);
+
+/**
+ * Move the offsets recorded for the given elements (and all of their descendants) along by the given number of bytes.
+ *
+ * @param {*} ebml
+ * @param {Number} delta
+ */
+function shiftOffsets(ebml, delta) {
+    if (Array.isArray(ebml)) {
+        for (let i = 0; i < ebml.length; i++) {
+            shiftOffsets(ebml[i], delta);
+        }
+    } else if (ebml && ebml.id) {
+        ebml.offset += delta;
+        ebml.dataOffset += delta;
+
+        if (Array.isArray(ebml.data)) {
+            shiftOffsets(ebml.data, delta);
+        }
+    }
+}
+
 /**
  * Write the given EBML object to the provided ArrayBufferStream.
  *
@@ -161,17 +428,16 @@ export function writeEBML(buffer, bufferFileOffset, ebml) {
             if (ebml.size === EBML_SIZE_UNKNOWN) {
                 // Write the reserved all-one-bits marker to note that the size of this element is unknown/unbounded
                 buffer.writeByte(0xFF);
-            } else if (ebml.size === EBML_SIZE_UNKNOWN_5_BYTES) {
+            } else if (ebml.size === EBML_SIZE_UNKNOWN_8_BYTES) {
                 sizePos = buffer.pos;
 
                 // VINT_DATA is all-ones, so this is the reserved "unknown length" marker:
-                buffer.writeBytes([0x0F, 0xFF, 0xFF, 0xFF, 0xFF]);
+                buffer.writeBytes([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
             } else {
                 sizePos = buffer.pos;
 
                 /* Write a dummy size field to overwrite later. 4 bytes allows an element maximum size of 256MB,
-                 * which should be plenty (we don't want to have to buffer that much data in memory at one time
-                 * anyway!)
+                 * which is plenty for almost every element (larger ones are moved along to make room for 8 bytes)
                  */
                 buffer.writeBytes([0, 0, 0, 0]);
             }
@@ -181,13 +447,30 @@ export function writeEBML(buffer, bufferFileOffset, ebml) {
             ebml.dataOffset = dataBegin + bufferFileOffset;
             writeEBML(buffer, bufferFileOffset, ebml.data);
 
-            if (ebml.size !== EBML_SIZE_UNKNOWN && ebml.size !== EBML_SIZE_UNKNOWN_5_BYTES) {
+            if (ebml.size !== EBML_SIZE_UNKNOWN && ebml.size !== EBML_SIZE_UNKNOWN_8_BYTES) {
+                let
+                    sizeWidth = 4;
+
                 dataEnd = buffer.pos;
 
                 ebml.size = dataEnd - dataBegin;
 
+                if (ebml.size >= MAX_4_BYTE_EBML_SIZE) {
+                    // Move the payload (and the offsets recorded for its children) along to widen the size field to 8 bytes
+                    if (dataEnd + 4 > buffer.data.length) {
+                        throw new Error("No room in the buffer to store the size of a " + ebml.size + " byte element");
+                    }
+
+                    buffer.data.copyWithin(dataBegin + 4, dataBegin, dataEnd);
+
+                    sizeWidth = 8;
+                    dataEnd += 4;
+                    ebml.dataOffset += 4;
+                    shiftOffsets(ebml.data, 4);
+                }
+
                 buffer.seek(sizePos);
-                buffer.writeEBMLVarIntWidth(ebml.size, 4); // Size field
+                buffer.writeEBMLVarIntWidth(ebml.size, sizeWidth); // Size field
 
                 buffer.seek(dataEnd);
             }
@@ -195,7 +478,7 @@ export function writeEBML(buffer, bufferFileOffset, ebml) {
             buffer.writeEBMLVarInt(ebml.data.length); // Size field
             ebml.dataOffset = buffer.pos + bufferFileOffset;
             buffer.writeString(ebml.data);
-        } else if (typeof ebml.data === "number") {
+        } else if (typeof ebml.data === "number" || typeof ebml.data === "bigint") {
             // Allow the caller to explicitly choose the size if they wish by supplying a size field
             if (!ebml.size) {
                 ebml.size = buffer.measureUnsignedInt(ebml.data);
@@ -208,12 +491,28 @@ export function writeEBML(buffer, bufferFileOffset, ebml) {
             buffer.writeEBMLVarInt(8); // Size field
             ebml.dataOffset = buffer.pos + bufferFileOffset;
             buffer.writeDoubleBE(ebml.data.value);
+        } else if (ebml.data instanceof EBMLSignedInt) {
+            let
+                size = buffer.measureSignedInt(ebml.data.value);
+
+            buffer.writeEBMLVarInt(size); // Size field
+            ebml.dataOffset = buffer.pos + bufferFileOffset;
+            buffer.writeUnsignedIntBE(ebml.data.value < 0 ? ebml.data.value + Math.pow(2, size * 8) : ebml.data.value, size);
+        } else if (ebml.data instanceof EBMLDate) {
+            buffer.writeEBMLVarInt(8); // Size field
+            ebml.dataOffset = buffer.pos + bufferFileOffset;
+            buffer.writeBigInt64BE(BigInt(Math.round(+ebml.data.value - EBML_DATE_EPOCH)) * 1000000n);
         } else if (ebml.data instanceof EBMLFloat32) {
             buffer.writeEBMLVarInt(4); // Size field
             ebml.dataOffset = buffer.pos + bufferFileOffset;
             buffer.writeFloatBE(ebml.data.value);
         } else if (ebml.data instanceof Uint8Array) {
-            buffer.writeEBMLVarInt(ebml.data.byteLength); // Size field
+            // Allow the caller to choose a wider size field than necessary by supplying a sizeWidth
+            if (ebml.sizeWidth) {
+                buffer.writeEBMLVarIntWidth(ebml.data.byteLength, ebml.sizeWidth); // Size field
+            } else {
+                buffer.writeEBMLVarInt(ebml.data.byteLength); // Size field
+            }
             ebml.dataOffset = buffer.pos + bufferFileOffset;
             buffer.writeBytes(ebml.data);
         } else {
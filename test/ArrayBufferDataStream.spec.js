@@ -19,8 +19,13 @@ describe("ArrayBufferDataStream", function() {
                 {input: 268435455, output: [0x08, 0x0F, 0xFF, 0xFF, 0xFF]},
                 {input: 268435456, output: [0x08, 0x10, 0x00, 0x00, 0x00]},
                 {input: 34359738366, output: [0x0F, 0xFF, 0xFF, 0xFF, 0xFE]},
+                {input: 34359738367, output: [0x04, 0x07, 0xFF, 0xFF, 0xFF, 0xFF]},
+                {input: 4398046511102, output: [0x07, 0xFF, 0xFF, 0xFF, 0xFF, 0xFE]},
+                {input: 4398046511103, output: [0x02, 0x03, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]},
+                {input: 562949953421311, output: [0x01, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]},
+                {input: 72057594037927934n, output: [0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFE]},
             ];
-        const arrayBuffer = new ArrayBufferDataStream(5);
+        const arrayBuffer = new ArrayBufferDataStream(8);
 
         for (let i = 0; i < tests.length; i++) {
             const test = tests[i];
@@ -56,8 +61,13 @@ describe("ArrayBufferDataStream", function() {
                 {input: 4294967295, output: [0xFF, 0xFF, 0xFF, 0xFF]},
                 {input: 4294967296, output: [0x01, 0x00, 0x00, 0x00, 0x00]},
                 {input: 1099511627775, output: [0xFF, 0xFF, 0xFF, 0xFF, 0xFF]},
+                {input: 1099511627776, output: [0x01, 0x00, 0x00, 0x00, 0x00, 0x00]},
+                {input: 281474976710656, output: [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]},
+                {input: Number.MAX_SAFE_INTEGER, output: [0x1F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]},
+                {input: 72057594037927936n, output: [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]},
+                {input: 18446744073709551615n, output: [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]},
             ];
-        const arrayBuffer = new ArrayBufferDataStream(5);
+        const arrayBuffer = new ArrayBufferDataStream(8);
 
         for (let i = 0; i < tests.length; i++) {
             const test = tests[i];
@@ -75,4 +85,27 @@ describe("ArrayBufferDataStream", function() {
             }
         }
     });
+
+    it("Writes fixed-width EBML variable-length integers up to 8 bytes", function() {
+        const arrayBuffer = new ArrayBufferDataStream(8);
+
+        arrayBuffer.writeEBMLVarIntWidth(40 * 1024 * 1024 * 1024, 8); // 40GB
+
+        expect(Array.from(arrayBuffer.getAsDataArray())).toEqual([0x01, 0x00, 0x00, 0x0A, 0x00, 0x00, 0x00, 0x00]);
+        expect(() => arrayBuffer.writeEBMLVarIntWidth(0, 9)).toThrow();
+    });
+
+    it("Measures signed integers", function() {
+        const arrayBuffer = new ArrayBufferDataStream(0);
+
+        expect(arrayBuffer.measureSignedInt(0)).toBe(1);
+        expect(arrayBuffer.measureSignedInt(127)).toBe(1);
+        expect(arrayBuffer.measureSignedInt(-128)).toBe(1);
+        expect(arrayBuffer.measureSignedInt(128)).toBe(2);
+        expect(arrayBuffer.measureSignedInt(-129)).toBe(2);
+        expect(arrayBuffer.measureSignedInt(-32768)).toBe(2);
+        expect(arrayBuffer.measureSignedInt(32768)).toBe(3);
+        expect(arrayBuffer.measureSignedInt(-2147483648)).toBe(4);
+        expect(arrayBuffer.measureSignedInt(2147483648)).toBe(5);
+    });
 });
@@ -1,5 +1,6 @@
 import { Blob } from 'node:buffer';
 import BlobBuffer from '../src/BlobBuffer.mjs';
+import { FsSink } from '../src/sinks.mjs';
 
 // Returns a promise that converts the blob to a string
 async function readBlobAsString(blob) {
@@ -100,4 +101,36 @@ describe("BlobBuffer", function() {
         expect(blob3.size).toBe(20);
         expect(await readBlobAsString(blob3)).toBe("He-man world?!?! Hi.");
     });
+
+    it("Resolves ready only once the pending writes drop below the high water mark", async function() {
+        const pendingCallbacks = [];
+        const fakeFs = {
+            write(fd, buffer, offset, length, position, callback) {
+                pendingCallbacks.push(() => callback(null, length, buffer));
+            }
+        };
+        const blobBuffer = new BlobBuffer(new FsSink(1, fakeFs));
+        let ready = false;
+
+        blobBuffer.highWaterMark = 2;
+        blobBuffer.write(new Uint8Array([1]));
+        expect(blobBuffer.desiredSize).toBe(1);
+        await blobBuffer.ready;
+
+        blobBuffer.write(new Uint8Array([2]));
+        expect(blobBuffer.desiredSize).toBe(0);
+        blobBuffer.ready.then(() => { ready = true; });
+
+        // Let the first write reach the fake file system
+        while (pendingCallbacks.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        expect(ready).toBe(false);
+
+        pendingCallbacks.shift()();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(ready).toBe(true);
+        expect(blobBuffer.desiredSize).toBe(1);
+    });
 });
@@ -0,0 +1,144 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readString, readUint } from './helpers/ebml.js';
+
+const
+    TRACK_ENTRY = 0xAE,
+    TRACK_NUMBER = 0xD7,
+    CODEC_ID = 0x86,
+    CODEC_PRIVATE = 0x63A2,
+    CODEC_DELAY = 0x56AA,
+    SEEK_PRE_ROLL = 0x56BB,
+    CHANNELS = 0x9F,
+    CLUSTER = 0x1F43B675,
+    CLUSTER_TIMECODE = 0xE7,
+    DURATION = 0x4489,
+    SAMPLING_FREQUENCY = 0xB5;
+
+function readBlockTimecode(block) {
+    return (block.data[1] << 8 | block.data[2]) << 16 >> 16;
+}
+
+describe("WebMWriter audio", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes an Opus track and interleaves its packets with the video by time", async () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10,
+            width: 16,
+            height: 16,
+            audio: { codec: "opus", sampleRate: 44100, channels: 2, preSkip: 312 }
+        });
+
+        // Audio arrives in bursts of a second ahead of the video
+        for (let second = 0; second < 6; second++) {
+            for (let i = second * 10; i < second * 10 + 10; i++) {
+                videoWriter.addAudioChunk({ timestamp: i * 100000, duration: 100000, data: new Uint8Array([2, i]) });
+            }
+
+            for (let i = second * 10; i < second * 10 + 10; i++) {
+                videoWriter.addEncodedChunk({ type: i % 10 === 0 ? "key" : "delta", timestamp: i * 100000, data: new Uint8Array([1, i]) });
+            }
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const audioEntry = findAll(ebml, TRACK_ENTRY)[1];
+        const opusHead = find(audioEntry.children, CODEC_PRIVATE).data;
+
+        expect(readUint(find(audioEntry.children, TRACK_NUMBER))).toBe(2);
+        expect(readString(find(audioEntry.children, CODEC_ID))).toBe("A_OPUS");
+        expect(new TextDecoder().decode(opusHead.subarray(0, 8))).toBe("OpusHead");
+        expect(opusHead[9]).toBe(2);
+        expect(opusHead[10] | opusHead[11] << 8).toBe(312);
+        expect(readUint(find(audioEntry.children, CODEC_DELAY))).toBe(6500000);
+        expect(readUint(find(audioEntry.children, SEEK_PRE_ROLL))).toBe(80000000);
+        expect(readUint(find(audioEntry.children, CHANNELS))).toBe(2);
+
+        let previousTime = -1;
+        let blockCount = 0;
+
+        for (const cluster of findAll(ebml, CLUSTER)) {
+            const clusterTime = readUint(find(cluster.children, CLUSTER_TIMECODE));
+
+            for (const block of findBlocks(cluster.children)) {
+                const time = clusterTime + readBlockTimecode(block);
+
+                expect(time).toBeGreaterThanOrEqual(previousTime);
+                expect(time).toBe(block.data[5] * 100);
+                previousTime = time;
+                blockCount++;
+            }
+
+            // Clusters begin with a video keyframe
+            const firstVideoBlock = findBlocks(cluster.children).find(block => block.data[0] === 0x81);
+            expect(firstVideoBlock.data[3] & 0x80).toBe(0x80);
+        }
+
+        expect(blockCount).toBe(120);
+        expect(new DataView(find(ebml, DURATION).data.slice().buffer).getFloat64(0)).toBe(6000);
+    });
+
+    it("Writes a Vorbis track with Xiph-laced headers into the same clusters as the video", async () => {
+        const identification = new Uint8Array(30);
+
+        identification.set([1, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73], 0);
+        identification[11] = 1;
+        new DataView(identification.buffer).setUint32(12, 22050, true);
+
+        const videoWriter = new WebMWriter({
+            frameRate: 10,
+            width: 16,
+            height: 16,
+            audio: { codec: "vorbis", headers: [identification, new Uint8Array([3]), new Uint8Array([5])] }
+        });
+
+        videoWriter.addEncodedChunk({ type: "key", timestamp: 0, data: new Uint8Array([1, 0]) });
+        videoWriter.addAudioChunk({ timestamp: 50000, data: new Uint8Array([2, 0]) });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const audioEntry = findAll(ebml, TRACK_ENTRY)[1];
+
+        expect(readString(find(audioEntry.children, CODEC_ID))).toBe("A_VORBIS");
+        expect(Array.from(find(audioEntry.children, CODEC_PRIVATE).data.subarray(0, 3))).toEqual([2, 30, 1]);
+        expect(new DataView(find(audioEntry.children, SAMPLING_FREQUENCY).data.slice().buffer).getFloat64(0)).toBe(22050);
+        expect(findAll(ebml, CLUSTER).length).toBe(1);
+        expect(findBlocks(ebml).map(block => block.data[0])).toEqual([0x81, 0x82]);
+    });
+
+    it("Writes clusters of audio that carries on without the video", async () => {
+        const options = {
+            frameRate: 10,
+            width: 16,
+            height: 16,
+            maxClusterDuration: 1000,
+            audio: { codec: "opus", sampleRate: 48000, channels: 1 }
+        };
+        const audioOnlyWriter = new WebMWriter(options);
+        const endedVideoWriter = new WebMWriter(options);
+
+        endedVideoWriter.addEncodedChunk({ type: "key", timestamp: 0, duration: 100000, data: new Uint8Array([1, 0]) });
+
+        // A minute of 20ms packets
+        for (let i = 0; i < 3000; i++) {
+            for (const videoWriter of [audioOnlyWriter, endedVideoWriter]) {
+                videoWriter.addAudioChunk({ timestamp: i * 20000, duration: 20000, data: new Uint8Array([2, i & 0xFF]) });
+            }
+        }
+
+        for (const videoWriter of [audioOnlyWriter, endedVideoWriter]) {
+            expect(videoWriter.getWrittenSize()).toBeGreaterThan(0);
+
+            const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+            expect(findAll(ebml, CLUSTER).length).toBeGreaterThanOrEqual(59);
+        }
+    });
+
+    it("Refuses audio packets without an audio track", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        expect(() => videoWriter.addAudioChunk({ timestamp: 0, data: new Uint8Array(1) })).toThrow();
+    });
+});
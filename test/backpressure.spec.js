@@ -0,0 +1,32 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { videoChunk } from './helpers/video.js';
+
+describe("WebMWriter backpressure", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Returns promises that resolve when the writer is ready for more data", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, highWaterMark: 4 });
+
+        expect(videoWriter.desiredSize).toBe(4);
+
+        for (let i = 0; i < 120; i++) {
+            await videoWriter.addEncodedChunk(videoChunk(i, 10));
+            expect(videoWriter.desiredSize).toBeGreaterThan(0);
+        }
+
+        await videoWriter.ready;
+        await videoWriter.complete();
+        expect(videoWriter.desiredSize).toBe(4);
+    });
+
+    it("Rejects a highWaterMark that leaves no room for a write", () => {
+        for (const highWaterMark of [0, -1, 2.5, NaN, "16"]) {
+            expect(() => new WebMWriter({ frameRate: 10, highWaterMark: highWaterMark })).toThrow("highWaterMark");
+        }
+
+        expect(new WebMWriter({ frameRate: 10, highWaterMark: Infinity }).desiredSize).toBe(Infinity);
+    });
+});
@@ -0,0 +1,56 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const
+    ROOT = path.resolve(__dirname, ".."),
+    MAIN = path.join(ROOT, "main.mjs");
+
+// Run an ES module script in a fresh Node process, with Node's own globals removed like they are in a browser
+function runWithoutNodeGlobals(script) {
+    const prelude = 'for (const name of ["process", "Buffer", "global"]) { delete globalThis[name]; }\n';
+
+    return execFileSync(process.execPath, ["--input-type=module", "-e", prelude + script], { encoding: "utf8" });
+}
+
+describe("Browser support", function() {
+    it("Imports main.mjs and writes a video without any Node globals", () => {
+        const output = runWithoutNodeGlobals(`
+            const { WebMWriter } = await import(${JSON.stringify(pathToFileURL(MAIN).href)});
+            const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+            videoWriter.addEncodedChunk({ type: "key", timestamp: 0, duration: 100000, data: new Uint8Array(4) });
+
+            const blob = await videoWriter.complete();
+
+            let fdError = null;
+
+            try {
+                new WebMWriter({ frameRate: 10, fd: 1 });
+            } catch (e) {
+                fdError = e.message;
+            }
+
+            console.log(JSON.stringify({ type: typeof process, size: blob.size, fdError }));
+        `);
+        const result = JSON.parse(output);
+
+        expect(result.type).toBe("undefined");
+        expect(result.size).toBeGreaterThan(0);
+
+        // Without the built-in module, a file descriptor needs the fs option
+        expect(result.fdError).toMatch(/fs option/);
+    });
+
+    it("Doesn't reference Node modules that browser bundlers can't resolve", () => {
+        const files = [MAIN, ...fs.readdirSync(path.join(ROOT, "src")).map(file => path.join(ROOT, "src", file))];
+
+        for (const file of files) {
+            const source = fs.readFileSync(file, "utf8");
+
+            expect(source).not.toMatch(/\brequire\s*\(/);
+            expect(source).not.toMatch(/\bfrom\s+["'](node:|fs["'])/);
+        }
+    });
+});
@@ -0,0 +1,78 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { addVideo } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK_HEAD = 0x114D9B74,
+    SEEK = 0x4DBB,
+    SEEK_ID = 0x53AB,
+    SEEK_POSITION = 0x53AC,
+    VOID = 0xEC,
+    CHAPTERS = 0x1043A770,
+    CHAPTER_ATOM = 0xB6,
+    CHAPTER_TIME_START = 0x91,
+    CHAPTER_TIME_END = 0x92,
+    CHAP_STRING = 0x85,
+    CHAP_LANGUAGE = 0x437C;
+
+describe("WebMWriter.addChapter", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes chapters sorted by start time", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 100, 30);
+        videoWriter.addChapter({ start: 4000, title: "Résumé", language: "fre" });
+        videoWriter.addChapter({ start: 0, end: 2500, title: "Intro" });
+        videoWriter.addChapter({ start: 2500, title: "Setup" });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const atoms = findAll(ebml, CHAPTER_ATOM);
+
+        expect(atoms.map(atom => readString(find(atom.children, CHAP_STRING)))).toEqual(["Intro", "Setup", "Résumé"]);
+        expect(atoms.map(atom => readUint(find(atom.children, CHAPTER_TIME_START)))).toEqual([0, 2500e6, 4000e6]);
+
+        // Chapters without an end last until the next chapter, or the end of the video
+        expect(atoms.map(atom => readUint(find(atom.children, CHAPTER_TIME_END)))).toEqual([2500e6, 4000e6, 10000e6]);
+        expect(readString(find(atoms[2].children, CHAP_LANGUAGE))).toBe("fre");
+    });
+
+    it("Points the SeekHead at the Chapters", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 10, 30);
+        videoWriter.addChapter({ start: 0, title: "Everything" });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const segment = find(ebml, SEGMENT);
+        const chaptersSeek = findAll(ebml, SEEK).find(seek => readUint(find(seek.children, SEEK_ID)) === CHAPTERS);
+
+        expect(segment.dataOffset + readUint(find(chaptersSeek.children, SEEK_POSITION)))
+            .toBe(find(ebml, CHAPTERS).offset);
+    });
+
+    it("Blanks out the SeekHead entry when there are no chapters", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 10, 30);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const seekHead = find(ebml, SEEK_HEAD);
+
+        expect(find(ebml, CHAPTERS)).toBeUndefined();
+        expect(seekHead.children.filter(child => child.id === SEEK).length).toBe(3);
+        expect(seekHead.children.filter(child => child.id === VOID).length).toBe(2);
+    });
+
+    it("Rejects chapters without a start time or title", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        expect(() => videoWriter.addChapter({ title: "Untimed" })).toThrow();
+        expect(() => videoWriter.addChapter({ start: 1000, end: 500, title: "Backwards" })).toThrow();
+        expect(() => videoWriter.addChapter({ start: 0 })).toThrow();
+    });
+});
@@ -0,0 +1,100 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import ArrayBufferDataStream from '../src/ArrayBufferDataStream.mjs';
+import { writeEBML } from '../src/utils.mjs';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readUint } from './helpers/ebml.js';
+
+const
+    CLUSTER = 0x1F43B675,
+    TIMECODE = 0xE7;
+
+// Returns each cluster as its timecode and the relative timecodes and keyframe flags of its blocks
+function readClusters(ebml) {
+    return findAll(ebml, CLUSTER).map(cluster => ({
+        timecode: readUint(find(cluster.children, TIMECODE)),
+        blocks: findBlocks(cluster.children).map(block => ({
+            timecode: new DataView(block.data.buffer, block.data.byteOffset).getInt16(1),
+            keyframe: (block.data[3] & 0x80) !== 0
+        }))
+    }));
+}
+
+describe("WebMWriter clusters", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Begins clusters at any frame when keyframe alignment is off", async () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            maxClusterDuration: 1000,
+            alignClustersToKeyframes: false
+        });
+
+        for (let i = 0; i < 35; i++) {
+            videoWriter.addEncodedChunk({
+                type: i === 0 ? "key" : "delta",
+                timestamp: i * 100000,
+                duration: 100000,
+                data: new Uint8Array([i])
+            });
+        }
+
+        const clusters = readClusters(parseEBML(await blobToBytes(await videoWriter.complete())));
+
+        expect(clusters.map(cluster => cluster.timecode)).toEqual([0, 1000, 2000, 3000]);
+        expect(clusters.map(cluster => cluster.blocks.length)).toEqual([10, 10, 10, 5]);
+    });
+
+    it("Limits the size of clusters", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, maxClusterSize: 1000 });
+
+        for (let i = 0; i < 20; i++) {
+            videoWriter.addEncodedChunk({
+                type: i % 2 === 0 ? "key" : "delta",
+                timestamp: i * 100000,
+                duration: 100000,
+                data: new Uint8Array(300)
+            });
+        }
+
+        const clusters = readClusters(parseEBML(await blobToBytes(await videoWriter.complete())));
+
+        // The limit is reached after 4 frames, but the cluster continues to the next keyframe
+        expect(clusters.length).toBe(5);
+        expect(clusters.every(cluster => cluster.blocks.length === 4 && cluster.blocks[0].keyframe)).toBe(true);
+    });
+
+    it("Begins a new cluster before relative timecodes overflow", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, subtitles: {} });
+
+        // A 40 second frame followed by a delta frame, which would otherwise share its cluster
+        videoWriter.addEncodedChunk({ type: "key", timestamp: 0, duration: 40000000, data: new Uint8Array([0]) });
+        videoWriter.addEncodedChunk({ type: "delta", timestamp: 40000000, duration: 100000, data: new Uint8Array([1]) });
+
+        // A subtitle which is still buffered when the video is completed
+        videoWriter.addSubtitle({ start: 80000, end: 81000, text: "Later" });
+
+        const clusters = readClusters(parseEBML(await blobToBytes(await videoWriter.complete())));
+
+        expect(clusters.map(cluster => cluster.timecode)).toEqual([0, 40000, 80000]);
+        expect(clusters[1].blocks).toEqual([{ timecode: 0, keyframe: false }]);
+    });
+
+    it("Widens the size field of elements larger than 256MB", () => {
+        const payload = new Uint8Array(Math.pow(2, 28));
+        const buffer = new ArrayBufferDataStream(payload.length + 32);
+        const element = { "id": CLUSTER, "data": [payload] };
+
+        payload[payload.length - 1] = 0xAB;
+
+        writeEBML(buffer, 0, element);
+
+        const bytes = buffer.getAsDataArray();
+
+        expect(bytes.length).toBe(4 + 8 + payload.length);
+        expect(Array.from(bytes.subarray(4, 12))).toEqual([0x01, 0x00, 0x00, 0x00, 0x10, 0x00, 0x00, 0x00]);
+        expect(element.dataOffset).toBe(12);
+        expect(bytes[bytes.length - 1]).toBe(0xAB);
+    });
+});
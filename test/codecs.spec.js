@@ -0,0 +1,128 @@
+import {
+    describeAudioCodec,
+    describeVideoCodec,
+    findAV1SequenceHeader,
+    parseAV1OBUs,
+    parseVP9CodecString,
+    prepareAV1TemporalUnit,
+    xiphLace,
+    xiphUnlace
+} from '../src/codecs.mjs';
+
+describe("codecs", function() {
+    it("Parses VP9 codec strings", function() {
+        expect(parseVP9CodecString("vp09.02.10.10.01")).toEqual({
+            profile: 2,
+            level: 10,
+            bitDepth: 10,
+            chromaSubsampling: 1
+        });
+        expect(parseVP9CodecString("vp09.00.41").bitDepth).toBeUndefined();
+    });
+
+    it("Describes VP8 tracks", function() {
+        expect(describeVideoCodec("vp8")).toEqual({ id: "V_VP8", name: "VP8", codecPrivate: null });
+    });
+
+    it("Builds a VP9 CodecPrivate from the codec string and explicit options", function() {
+        const codec = describeVideoCodec("vp09.00.31.08", { chromaSubsampling: 1 });
+
+        expect(codec.id).toBe("V_VP9");
+        expect(Array.from(codec.codecPrivate)).toEqual([
+            1, 1, 0,  // Profile
+            2, 1, 31, // Level
+            3, 1, 8,  // Bit depth
+            4, 1, 1   // Chroma subsampling
+        ]);
+        expect(describeVideoCodec("vp9").codecPrivate).toBeNull();
+    });
+
+    it("Rejects unknown codecs", function() {
+        expect(() => describeVideoCodec("h264")).toThrow();
+    });
+});
+
+describe("codecs (AV1)", function() {
+    const
+        temporalDelimiter = [0x12, 0x00],
+        sequenceHeader = [0x0A, 0x03, 0xAA, 0xBB, 0xCC],
+        frameWithoutSize = [0x30, 0x11, 0x22];
+
+    it("Builds an av1C record from the codec string and the sequence header", function() {
+        const codec = describeVideoCodec("av01.0.04M.10", null, {
+            sequenceHeader: findAV1SequenceHeader(new Uint8Array(temporalDelimiter.concat(sequenceHeader, frameWithoutSize)))
+        });
+
+        expect(codec.id).toBe("V_AV1");
+        expect(Array.from(codec.codecPrivate)).toEqual([0x81, 0x04, 0x4C, 0x00].concat(sequenceHeader));
+    });
+
+    it("Uses the encoder's av1C description when it has one", function() {
+        const description = new Uint8Array([0x81, 0x08, 0x0C, 0x00]);
+
+        expect(describeVideoCodec("av1", null, { description }).codecPrivate).toBe(description);
+    });
+
+    it("Strips temporal delimiters and puts the sequence header on keyframes", function() {
+        const unit = new Uint8Array(temporalDelimiter.concat(frameWithoutSize));
+
+        expect(Array.from(prepareAV1TemporalUnit(unit, false, new Uint8Array(sequenceHeader))))
+            .toEqual([0x32, 0x02, 0x11, 0x22]);
+        expect(Array.from(prepareAV1TemporalUnit(unit, true, new Uint8Array(sequenceHeader))))
+            .toEqual(sequenceHeader.concat([0x32, 0x02, 0x11, 0x22]));
+    });
+
+    it("Parses OBUs with extension headers", function() {
+        const obus = parseAV1OBUs(new Uint8Array([0x36, 0x80, 0x01, 0x55]));
+
+        expect(obus.length).toBe(1);
+        expect(obus[0].type).toBe(6);
+        expect(Array.from(obus[0].header)).toEqual([0x36, 0x80]);
+        expect(Array.from(obus[0].payload)).toEqual([0x55]);
+    });
+});
+
+describe("codecs (audio)", function() {
+    function createVorbisIdentificationHeader(channels, sampleRate) {
+        const header = new Uint8Array(30);
+
+        header.set([1, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73], 0); // "\x01vorbis"
+        header[11] = channels;
+        new DataView(header.buffer).setUint32(12, sampleRate, true);
+
+        return header;
+    }
+
+    it("Xiph-laces packets", function() {
+        const packets = [new Uint8Array(300).fill(1), new Uint8Array(255).fill(2), new Uint8Array(5).fill(3)];
+        const laced = xiphLace(packets);
+
+        expect(Array.from(laced.subarray(0, 5))).toEqual([2, 255, 45, 255, 0]);
+        expect(laced.length).toBe(5 + 300 + 255 + 5);
+        expect(xiphUnlace(laced)).toEqual(packets);
+    });
+
+    it("Describes Vorbis tracks from their header packets", function() {
+        const headers = [createVorbisIdentificationHeader(2, 44100), new Uint8Array([3, 1]), new Uint8Array([5, 1, 2])];
+        const codec = describeAudioCodec({ codec: "vorbis", headers });
+
+        expect(codec.id).toBe("A_VORBIS");
+        expect(codec.sampleRate).toBe(44100);
+        expect(codec.channels).toBe(2);
+        expect(codec.codecPrivate).toEqual(xiphLace(headers));
+        expect(describeAudioCodec({ codec: "vorbis" }, codec.codecPrivate).channels).toBe(2);
+    });
+
+    it("Requires all three Vorbis headers", function() {
+        expect(() => describeAudioCodec({ codec: "vorbis", headers: [createVorbisIdentificationHeader(1, 8000)] })).toThrow();
+    });
+
+    it("Builds an OpusHead for mono and stereo streams", function() {
+        const codec = describeAudioCodec({ codec: "opus", channels: 1, sampleRate: 16000 });
+
+        expect(codec.sampleRate).toBe(48000);
+        expect(codec.channels).toBe(1);
+        expect(codec.codecDelay).toBe(0);
+        expect(() => describeAudioCodec({ codec: "opus", channels: 6 })).toThrow();
+    });
+});
@@ -0,0 +1,150 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML, readUint } from './helpers/ebml.js';
+import { addVideo, videoChunk } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK = 0x4DBB,
+    SEEK_ID = 0x53AB,
+    SEEK_POSITION = 0x53AC,
+    TRACKS = 0x1654AE6B,
+    VOID = 0xEC,
+    CLUSTER = 0x1F43B675,
+    CUES = 0x1C53BB6B,
+    CUE_POINT = 0xBB,
+    CUE_TIME = 0xB3,
+    CUE_TRACK = 0xF7,
+    CUE_CLUSTER_POSITION = 0xF1,
+    CUE_RELATIVE_POSITION = 0xF0,
+    CUE_DURATION = 0xB2,
+    CUE_BLOCK_NUMBER = 0x5378;
+
+// Opus packets of 20ms, added ahead of each video frame so each cluster begins with the packet at the same time as its
+// video keyframe
+function addAudioAndVideo(videoWriter) {
+    for (let i = 0; i < 30; i++) {
+        for (let j = i * 5; j < i * 5 + 5; j++) {
+            videoWriter.addAudioChunk({ type: "key", timestamp: j * 20000, duration: 20000, data: new Uint8Array([j]) });
+        }
+
+        videoWriter.addEncodedChunk(videoChunk(i, 10));
+    }
+}
+
+function findSeekTarget(ebml, id) {
+    const seek = findAll(ebml, SEEK).find(seek => readUint(find(seek.children, SEEK_ID)) === id);
+
+    return find(ebml, SEGMENT).dataOffset + readUint(find(seek.children, SEEK_POSITION));
+}
+
+describe("WebMWriter cues", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Points each cue at the exact block of its keyframe", async () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            maxClusterDuration: 1000,
+            audio: { codec: "opus", channels: 1 }
+        });
+
+        addAudioAndVideo(videoWriter);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const segmentStart = find(ebml, SEGMENT).dataOffset;
+        const cuePoints = findAll(ebml, CUE_POINT);
+
+        expect(cuePoints.map(cuePoint => readUint(find(cuePoint.children, CUE_TIME)))).toEqual([0, 1000, 2000]);
+
+        for (const cuePoint of cuePoints) {
+            const cluster = findAll(ebml, CLUSTER).find(cluster =>
+                cluster.offset === segmentStart + readUint(find(cuePoint.children, CUE_CLUSTER_POSITION))
+            );
+            const blocks = cluster.children.slice(1);
+            const block = cluster.children.find(element =>
+                element.offset === cluster.dataOffset + readUint(find(cuePoint.children, CUE_RELATIVE_POSITION))
+            );
+
+            expect(readUint(find(cuePoint.children, CUE_TRACK))).toBe(1);
+            expect(blocks.indexOf(block) + 1).toBe(readUint(find(cuePoint.children, CUE_BLOCK_NUMBER)));
+
+            // The audio comes first, so the keyframe isn't the first block of the cluster
+            expect(blocks.indexOf(block)).toBeGreaterThan(0);
+            expect(block.data[0]).toBe(0x81);
+            expect(block.data[3] & 0x80).toBe(0x80);
+            expect(readUint(find(cuePoint.children, CUE_DURATION))).toBe(100);
+        }
+    });
+
+    it("Points cues at the right block of a cluster larger than 256MB", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+        const data = new Uint8Array(Math.pow(2, 27) + 1000);
+
+        for (let i = 0; i < 2; i++) {
+            videoWriter.addEncodedChunk({ type: "key", timestamp: i * 100000, duration: 100000, data: data });
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const cluster = find(ebml, CLUSTER);
+        const cuePoint = find(ebml, CUE_POINT);
+        const block = cluster.children.find(element =>
+            element.offset === cluster.dataOffset + readUint(find(cuePoint.children, CUE_RELATIVE_POSITION))
+        );
+
+        expect(cluster.size).toBeGreaterThan(Math.pow(2, 28));
+        expect(block).toBeDefined();
+        expect(block.data[0]).toBe(0x81);
+        expect(block.data[3] & 0x80).toBe(0x80);
+    });
+
+    it("Writes the Cues into reserved space in front of the first cluster", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, reserveCuesSpace: 1024 });
+
+        addVideo(videoWriter, 60, 10);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const segment = find(ebml, SEGMENT);
+        const ids = segment.children.map(element => element.id);
+        const cues = find(ebml, CUES);
+
+        expect(ids.indexOf(CUES)).toBe(ids.indexOf(TRACKS) + 1);
+        expect(ids.indexOf(CUES)).toBeLessThan(ids.indexOf(CLUSTER));
+        expect(findAll(ebml, CUES).length).toBe(1);
+        expect(findAll(cues.children, CUE_POINT).length).toBe(2);
+        expect(findSeekTarget(ebml, CUES)).toBe(cues.offset);
+
+        // The rest of the reserved space is filled by a Void element
+        const padding = segment.children[ids.indexOf(CUES) + 1];
+
+        expect(padding.id).toBe(VOID);
+        expect(padding.dataOffset + padding.size - cues.offset).toBe(1024);
+
+        // The cluster positions are still correct, since the clusters didn't move
+        const clusterOffsets = findAll(ebml, CLUSTER).map(cluster => cluster.offset);
+
+        for (const cuePoint of findAll(cues.children, CUE_POINT)) {
+            const position = readUint(find(cuePoint.children, CUE_CLUSTER_POSITION));
+
+            expect(clusterOffsets).toContain(segment.dataOffset + position);
+        }
+    });
+
+    it("Writes the Cues at the end when they don't fit in the reserved space", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, reserveCuesSpace: 64 });
+
+        addVideo(videoWriter, 200, 10);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const ids = find(ebml, SEGMENT).children.map(element => element.id);
+
+        expect(ids[ids.indexOf(TRACKS) + 1]).toBe(VOID);
+        expect(ids.indexOf(CUES)).toBeGreaterThan(ids.lastIndexOf(CLUSTER));
+        expect(findSeekTarget(ebml, CUES)).toBe(find(ebml, CUES).offset);
+    });
+
+    it("Rejects a reservation that can't hold a Void element", () => {
+        expect(() => new WebMWriter({ frameRate: 10, reserveCuesSpace: 1 })).toThrow();
+    });
+});
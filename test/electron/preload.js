@@ -44,6 +44,7 @@ contextBridge.exposeInMainWorld('WebMWriterProxy', {
 		return pickVideoFile().then(filename => {
 			return openFileForReadAndWrite(filename).then(fd => {
 				options.fd = fd;
+				options.fs = fs;
 				
 				let
 					writer = new WebMWriter(options);
@@ -0,0 +1,130 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { createWebP } from './helpers/webp.js';
+import { videoChunk } from './helpers/video.js';
+
+const
+    CLUSTER = 0x1F43B675,
+    CUE_POINT = 0xBB,
+    CUE_TIME = 0xB3,
+    BLOCK_GROUP = 0xA0,
+    BLOCK = 0xA1,
+    REFERENCE_BLOCK = 0xFB,
+    PIXEL_WIDTH = 0xB0,
+    CODEC_ID = 0x86,
+    CODEC_PRIVATE = 0x63A2;
+
+describe("WebMWriter.addEncodedChunk", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes the keyframe flag of each chunk", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        for (let i = 0; i < 10; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 5), i === 0 ? { decoderConfig: { codedWidth: 320, codedHeight: 240 } } : undefined);
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const flags = findBlocks(ebml).map(block => block.data[3] & 0x80);
+
+        expect(readUint(find(ebml, PIXEL_WIDTH))).toBe(320);
+        expect(flags).toEqual([0x80, 0, 0, 0, 0, 0x80, 0, 0, 0, 0]);
+    });
+
+    it("Only starts clusters and cue points on keyframes", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        // 12 seconds of video with a keyframe every 3.5 seconds
+        for (let i = 0; i < 120; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 35));
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const clusters = findAll(ebml, CLUSTER);
+
+        for (const cluster of clusters) {
+            expect(findBlocks(cluster.children)[0].data[3] & 0x80).toBe(0x80);
+        }
+
+        expect(clusters.length).toBe(2);
+        expect(findAll(ebml, CUE_POINT).map(cue => readUint(find(cue.children, CUE_TIME)))).toEqual([0, 7000]);
+    });
+
+    it("Adds a ReferenceBlock to transparent delta frames", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, transparent: true });
+
+        for (let i = 0; i < 3; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 5), { alphaSideData: new Uint8Array([9, 9]) });
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const groups = findAll(ebml, BLOCK_GROUP);
+
+        expect(groups.length).toBe(3);
+        expect(find(groups[0].children, REFERENCE_BLOCK)).toBeUndefined();
+
+        for (let i = 1; i < groups.length; i++) {
+            const reference = find(groups[i].children, REFERENCE_BLOCK);
+
+            // -100ms as a 1-byte signed integer
+            expect(Array.from(reference.data)).toEqual([0x9C]);
+            expect(find(groups[i].children, BLOCK).data[3]).toBe(0);
+        }
+    });
+
+    it("Writes a VP9 track described by the encoder's decoderConfig", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, codec: "vp9" });
+
+        videoWriter.addEncodedChunk(videoChunk(0, 5), {
+            decoderConfig: { codec: "vp09.00.10.08", codedWidth: 64, codedHeight: 64 }
+        });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readString(find(ebml, CODEC_ID))).toBe("V_VP9");
+        expect(Array.from(find(ebml, CODEC_PRIVATE).data)).toEqual([1, 1, 0, 2, 1, 10, 3, 1, 8]);
+    });
+
+    it("Writes an AV1 track with the sequence header in CodecPrivate and on keyframes", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, codec: "av1" });
+        const sequenceHeader = [0x0A, 0x01, 0xAA];
+
+        videoWriter.addEncodedChunk({ type: "key", timestamp: 0, data: new Uint8Array([0x12, 0x00, ...sequenceHeader, 0x32, 0x01, 0x01]) });
+        videoWriter.addEncodedChunk({ type: "delta", timestamp: 0, data: new Uint8Array([0x12, 0x00, 0x32, 0x01, 0x02]) });
+        videoWriter.addEncodedChunk({ type: "key", timestamp: 0, data: new Uint8Array([0x12, 0x00, 0x32, 0x01, 0x03]) });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const blocks = findBlocks(ebml).map(block => Array.from(block.data.subarray(4)));
+
+        expect(readString(find(ebml, CODEC_ID))).toBe("V_AV1");
+        expect(Array.from(find(ebml, CODEC_PRIVATE).data.subarray(4))).toEqual(sequenceHeader);
+        expect(blocks).toEqual([
+            [...sequenceHeader, 0x32, 0x01, 0x01],
+            [0x32, 0x01, 0x02],
+            [...sequenceHeader, 0x32, 0x01, 0x03]
+        ]);
+    });
+
+    it("Rejects chunks from a different codec", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        expect(() => videoWriter.addEncodedChunk(videoChunk(0, 5), { decoderConfig: { codec: "vp09.00.10.08" } })).toThrow();
+    });
+
+    it("Refuses WebP frames for a VP9 track, even after its first chunk", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, codec: "vp9" });
+
+        videoWriter.addEncodedChunk(videoChunk(0, 5));
+
+        expect(() => videoWriter.addFrame(createWebP(16, 16, false))).toThrow("can only produce VP8");
+    });
+
+    it("Requires the first chunk to be a keyframe", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        expect(() => videoWriter.addEncodedChunk(videoChunk(1, 5))).toThrow();
+    });
+});
@@ -0,0 +1,250 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { Writable } from 'node:stream';
+import { FakeOffscreenCanvas } from './helpers/webp.js';
+import { addVideo, videoChunk } from './helpers/video.js';
+
+function waitForWrites() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+// Fake of Chrome's legacy FileWriter, which fails every write after the first few
+class FileWriter {
+    readyState = 0;
+    error = null;
+    writes = 0;
+
+    seek() {
+    }
+
+    write() {
+        this.readyState = 1;
+
+        setTimeout(() => {
+            this.readyState = 2;
+
+            if (++this.writes > 2) {
+                this.error = new Error("QuotaExceededError");
+                this.onerror();
+            }
+
+            this.onwriteend();
+        }, 0);
+    }
+}
+
+describe("WebMWriter errors", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Rejects complete() when a file descriptor write fails, and fails later frames fast", async () => {
+        const diskFull = Object.assign(new Error("ENOSPC: no space left on device"), { code: "ENOSPC" });
+        let writes = 0;
+
+        const fakeFs = {
+            write(fd, buffer, offset, length, position, callback) {
+                writes++;
+                setTimeout(() => callback(diskFull), 0);
+            }
+        };
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500, fd: 3, fs: fakeFs
+        });
+
+        addVideo(videoWriter, 20, 10);
+        await waitForWrites();
+
+        // Nothing more is written after the first failure
+        expect(writes).toBe(1);
+        expect(() => videoWriter.addEncodedChunk(videoChunk(20, 10))).toThrow(diskFull);
+        await expect(videoWriter.complete()).rejects.toBe(diskFull);
+    });
+
+    it("Rejects complete() when a FileWriter fails", async () => {
+        const fileWriter = new FileWriter();
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500, fileWriter: fileWriter
+        });
+
+        addVideo(videoWriter, 20, 10);
+
+        await expect(videoWriter.complete()).rejects.toThrow("QuotaExceededError");
+        expect(fileWriter.writes).toBe(3);
+    });
+
+    it("Doesn't close a sink whose write failed", async () => {
+        const closed = jest.fn();
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            sink: {
+                write() {
+                    return Promise.reject(new Error("Upload failed"));
+                },
+                close: closed
+            }
+        });
+
+        addVideo(videoWriter, 20, 10);
+
+        await expect(videoWriter.complete()).rejects.toThrow("Upload failed");
+        expect(closed).not.toHaveBeenCalled();
+    });
+
+    it("Throws from addFrame() when a synchronous sink fails", () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500,
+            sink: {
+                synchronous: true,
+                write() {
+                    throw new Error("The file is locked");
+                },
+                close() {
+                }
+            }
+        });
+
+        expect(() => addVideo(videoWriter, 20, 10)).toThrow("The file is locked");
+        expect(() => videoWriter.addEncodedChunk(videoChunk(20, 10))).toThrow("The file is locked");
+    });
+
+    it("Aborts, dropping pending writes and discarding the sink's data", async () => {
+        const writes = [];
+        const abort = jest.fn();
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500,
+            sink: {
+                write(offset, bytes) {
+                    writes.push(bytes);
+                    return new Promise(resolve => setTimeout(resolve, 5));
+                },
+                close() {
+                },
+                abort: abort
+            }
+        });
+        const reason = new Error("Recording cancelled");
+
+        addVideo(videoWriter, 20, 10);
+
+        // Let the first write begin
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await videoWriter.abort(reason);
+
+        // Only the write that had already begun was made
+        expect(writes.length).toBe(1);
+        expect(abort).toHaveBeenCalledWith(reason);
+
+        await waitForWrites();
+
+        expect(writes.length).toBe(1);
+        expect(() => videoWriter.addFrame(new Uint8Array(10))).toThrow(reason);
+        await expect(videoWriter.complete()).rejects.toBe(reason);
+    });
+
+    it("Refuses chapters, tags and attachments once the video is aborted or complete", async () => {
+        const abortedWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, container: "matroska" });
+        const completedWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, container: "matroska" });
+
+        addVideo(abortedWriter, 20, 10);
+        addVideo(completedWriter, 20, 10);
+
+        await abortedWriter.abort();
+        await completedWriter.complete();
+
+        for (const videoWriter of [abortedWriter, completedWriter]) {
+            expect(() => videoWriter.addChapter({ start: 0, title: "Intro" })).toThrow();
+            expect(() => videoWriter.addTag("COMMENT", "Too late")).toThrow();
+            expect(() => videoWriter.addAttachment({ name: "notes.txt", mimeType: "text/plain", data: "Too late" }))
+                .toThrow();
+            expect(() => videoWriter.addEncodedChunk(videoChunk(20, 10))).toThrow();
+        }
+    });
+
+    it("Drops frames that are still being encoded when aborted", async () => {
+        globalThis.OffscreenCanvas = FakeOffscreenCanvas;
+
+        try {
+            const videoWriter = new WebMWriter({ frameRate: 10 });
+            const added = [];
+
+            // Not awaited, as a recorder that's cancelled mid-way wouldn't
+            for (let i = 0; i < 3; i++) {
+                added.push(videoWriter.addFrame(new FakeOffscreenCanvas(16, 16)));
+            }
+
+            await videoWriter.abort(new Error("Recording cancelled"));
+
+            await expect(Promise.all(added)).resolves.toBeDefined();
+            await expect(videoWriter.complete()).rejects.toThrow("Recording cancelled");
+        } finally {
+            delete globalThis.OffscreenCanvas;
+        }
+    });
+
+    it("Returns the same promise when complete() is called again", async () => {
+        const close = jest.fn(() => "closed");
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            sink: {
+                write() {
+                },
+                close: close
+            }
+        });
+
+        addVideo(videoWriter, 20, 10);
+
+        const completion = videoWriter.complete();
+
+        expect(videoWriter.complete()).toBe(completion);
+        await expect(completion).resolves.toBe("closed");
+        expect(videoWriter.complete()).toBe(completion);
+        expect(close).toHaveBeenCalledTimes(1);
+    });
+
+    it("Aborts in memory with a default reason", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 20, 10);
+        await videoWriter.abort();
+
+        await expect(videoWriter.complete()).rejects.toThrow("aborted");
+    });
+
+    it("Aborts a Node stream that's waiting to drain", async () => {
+        const writable = new Writable({
+            highWaterMark: 1,
+            write() {
+                // Never finishes, like a stalled pipe
+            }
+        });
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500, highWaterMark: 2, stream: writable
+        });
+
+        addVideo(videoWriter, 20, 10);
+        expect(videoWriter.desiredSize).toBeLessThanOrEqual(0);
+
+        await videoWriter.abort();
+
+        expect(writable.destroyed).toBe(true);
+        await videoWriter.ready;
+        await expect(videoWriter.complete()).rejects.toThrow("aborted");
+    });
+
+    it("Fails when a Node stream errors", async () => {
+        const writable = new Writable({
+            write(chunk, encoding, callback) {
+                callback(new Error("EPIPE"));
+            }
+        });
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500, stream: writable
+        });
+
+        addVideo(videoWriter, 20, 10);
+
+        await expect(videoWriter.complete()).rejects.toThrow("EPIPE");
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * A minimal EBML reader so tests can inspect the structure of the files that WebMWriter produces.
+ */
+
+const MASTER_ELEMENTS = new Set([
+    0x1A45DFA3, // EBML
+    0x18538067, // Segment
+    0x114D9B74, // SeekHead
+    0x4DBB,     // Seek
+    0x1549A966, // Info
+    0x1654AE6B, // Tracks
+    0xAE,       // TrackEntry
+    0xE0,       // Video
+    0xE1,       // Audio
+    0x1F43B675, // Cluster
+    0xA0,       // BlockGroup
+    0x75A1,     // BlockAdditions
+    0xA6,       // BlockMore
+    0x1C53BB6B, // Cues
+    0xBB,       // CuePoint
+    0xB7,       // CueTrackPositions
+    0x1043A770, // Chapters
+    0x45B9,     // EditionEntry
+    0xB6,       // ChapterAtom
+    0x80,       // ChapterDisplay
+    0x1254C367, // Tags
+    0x7373,     // Tag
+    0x63C0,     // Targets
+    0x67C8,     // SimpleTag
+    0x1941A469, // Attachments
+    0x61A7,     // AttachedFile
+]);
+
+function readVarInt(bytes, pos, keepMarker) {
+    const first = bytes[pos];
+    let width = 1;
+
+    while (width <= 8 && !(first & (0x80 >> (width - 1)))) {
+        width++;
+    }
+
+    let value = keepMarker ? first : first & (0xFF >> width);
+    let allOnes = value === (0xFF >> width);
+
+    for (let i = 1; i < width; i++) {
+        value = value * 256 + bytes[pos + i];
+        allOnes = allOnes && bytes[pos + i] === 0xFF;
+    }
+
+    return { value, width, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Parse the given bytes into a tree of {id, size, offset, dataOffset, data, children} nodes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} [start]
+ * @param {Number} [end]
+ */
+export function parseEBML(bytes, start = 0, end = bytes.length) {
+    const result = [];
+    let pos = start;
+
+    while (pos < end) {
+        const offset = pos;
+        const id = readVarInt(bytes, pos, true);
+        pos += id.width;
+
+        const size = readVarInt(bytes, pos, false);
+        pos += size.width;
+
+        const dataOffset = pos;
+        const dataEnd = size.unknown ? end : dataOffset + size.value;
+        const node = {
+            id: id.value,
+            size: size.unknown ? -1 : size.value,
+            offset,
+            dataOffset,
+            data: bytes.subarray(dataOffset, dataEnd)
+        };
+
+        if (MASTER_ELEMENTS.has(id.value)) {
+            node.children = parseEBML(bytes, dataOffset, dataEnd);
+        }
+
+        result.push(node);
+        pos = dataEnd;
+    }
+
+    return result;
+}
+
+/**
+ * Find all descendants of the given nodes with the given ID.
+ */
+export function findAll(nodes, id) {
+    let result = [];
+
+    for (const node of nodes) {
+        if (node.id === id) {
+            result.push(node);
+        }
+        if (node.children) {
+            result = result.concat(findAll(node.children, id));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Find the frames of all tracks: the SimpleBlocks, and the Blocks inside BlockGroups, in the order they appear.
+ */
+export function findBlocks(nodes) {
+    let result = [];
+
+    for (const node of nodes) {
+        if (node.id === 0xA3 || node.id === 0xA1) {
+            result.push(node);
+        } else if (node.children) {
+            result = result.concat(findBlocks(node.children));
+        }
+    }
+
+    return result;
+}
+
+export function find(nodes, id) {
+    return findAll(nodes, id)[0];
+}
+
+export function readUint(node) {
+    let value = 0;
+
+    for (let i = 0; i < node.data.length; i++) {
+        value = value * 256 + node.data[i];
+    }
+
+    return value;
+}
+
+export function readString(node) {
+    return new TextDecoder().decode(node.data);
+}
+
+export async function blobToBytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
@@ -0,0 +1,27 @@
+/**
+ * Helpers for adding fake encoded video to the writer in tests.
+ */
+
+/**
+ * Build a fake encoded chunk lasting 100ms, the given number of chunks into the video.
+ *
+ * @param {Number} index
+ * @param {Number} [keyframeInterval] - Every this many chunks is a keyframe, by default only the first
+ */
+export function videoChunk(index, keyframeInterval = Infinity) {
+    return {
+        type: index % keyframeInterval === 0 ? "key" : "delta",
+        timestamp: index * 100000,
+        duration: 100000,
+        data: new Uint8Array([index & 0xFF, 1, 2, 3])
+    };
+}
+
+/**
+ * Add the given number of chunks to the writer's video track with addEncodedChunk().
+ */
+export function addVideo(videoWriter, count, keyframeInterval) {
+    for (let i = 0; i < count; i++) {
+        videoWriter.addEncodedChunk(videoChunk(i, keyframeInterval));
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Helpers for creating WebP images in tests.
+ */
+
+/**
+ * Build a WebP file around a fake VP8 keyframe with the given dimensions.
+ */
+export function createWebP(width, height, withAlpha) {
+    const vp8 = [0x10, 0x02, 0x00, 0x9D, 0x01, 0x2A, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x42];
+    const chunks = [];
+
+    function chunk(fourCC, data) {
+        const length = data.length;
+
+        chunks.push(...Array.from(fourCC, c => c.charCodeAt(0)), length & 0xFF, (length >> 8) & 0xFF, 0, 0, ...data);
+
+        if (length & 1) {
+            chunks.push(0);
+        }
+    }
+
+    if (withAlpha) {
+        chunk("VP8X", new Array(10).fill(0));
+        chunk("ALPH", [1, 2, 3]);
+    }
+    chunk("VP8 ", vp8);
+
+    const header = Array.from("RIFF    WEBP", c => c.charCodeAt(0));
+
+    return Buffer.from(header.concat(chunks));
+}
+
+/**
+ * Just enough of an OffscreenCanvas for the writer: it stores RGBA pixels, and "encodes" them as a WebP with the
+ * canvas dimensions (which has an ALPH chunk if any pixel is transparent).
+ */
+export class FakeOffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8ClampedArray(width * height * 4).fill(255);
+    }
+
+    getContext() {
+        const canvas = this;
+
+        return {
+            putImageData(imageData) {
+                canvas.pixels.set(imageData.data);
+            },
+            drawImage(image) {
+                canvas.pixels.set(image.pixels);
+            },
+            getImageData(x, y, width, height) {
+                return { width, height, data: canvas.pixels.slice() };
+            },
+            createImageData(width, height) {
+                return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+            }
+        };
+    }
+
+    convertToBlob(options) {
+        const hasAlpha = this.pixels.some((value, index) => index % 4 === 3 && value < 255);
+
+        this.convertOptions = options;
+
+        return Promise.resolve(new Blob([createWebP(this.width, this.height, hasAlpha)]));
+    }
+}
@@ -0,0 +1,73 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML } from './helpers/ebml.js';
+import { videoChunk } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK_HEAD = 0x114D9B74,
+    DURATION = 0x4489,
+    CLUSTER = 0x1F43B675,
+    CUES = 0x1C53BB6B;
+
+function concat(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let pos = 0;
+
+    for (const chunk of chunks) {
+        result.set(chunk, pos);
+        pos += chunk.length;
+    }
+
+    return result;
+}
+
+describe("WebMWriter live mode", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Passes each finished cluster to ondata as it's written", async () => {
+        const chunks = [];
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            live: true,
+            ondata: chunk => chunks.push(chunk.slice())
+        });
+
+        for (let i = 0; i < 60; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 10));
+        }
+
+        // The header and the first 5 seconds have gone out before the video is complete
+        expect(chunks.length).toBe(2);
+
+        expect(await videoWriter.complete()).toBeNull();
+        expect(chunks.length).toBe(3);
+
+        const ebml = parseEBML(concat(chunks));
+        const segment = find(ebml, SEGMENT);
+
+        expect(segment.size).toBe(-1);
+        expect(findAll(ebml, CLUSTER).every(cluster => cluster.size === -1)).toBe(true);
+        expect(findAll(ebml, CLUSTER).length).toBe(2);
+        expect(findBlocks(ebml).length).toBe(60);
+
+        expect(find(ebml, SEEK_HEAD)).toBeUndefined();
+        expect(find(ebml, DURATION)).toBeUndefined();
+        expect(find(ebml, CUES)).toBeUndefined();
+    });
+
+    it("Buffers the live stream in memory without ondata", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, live: true });
+
+        for (let i = 0; i < 20; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 10));
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(find(ebml, SEGMENT).size).toBe(-1);
+        expect(findBlocks(ebml).length).toBe(20);
+    });
+});
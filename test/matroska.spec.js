@@ -0,0 +1,68 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { addVideo } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    DOC_TYPE = 0x4282,
+    SEEK = 0x4DBB,
+    SEEK_ID = 0x53AB,
+    SEEK_POSITION = 0x53AC,
+    ATTACHMENTS = 0x1941A469,
+    ATTACHED_FILE = 0x61A7,
+    FILE_DESCRIPTION = 0x467E,
+    FILE_NAME = 0x466E,
+    FILE_MIME_TYPE = 0x4660,
+    FILE_DATA = 0x465C,
+    FILE_UID = 0x46AE;
+
+describe("WebMWriter matroska container", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes WebM by default", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 10);
+
+        const blob = await videoWriter.complete();
+
+        expect(blob.type).toBe("video/webm");
+        expect(readString(find(parseEBML(await blobToBytes(blob)), DOC_TYPE))).toBe("webm");
+        expect(() => videoWriter.addAttachment({ name: "a.txt", mimeType: "text/plain", data: "a" })).toThrow();
+    });
+
+    it("Writes attachments to Matroska files", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, container: "matroska" });
+        const cover = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0]);
+
+        addVideo(videoWriter, 10);
+        videoWriter.addAttachment({ name: "manifest.json", mimeType: "application/json", data: '{"scene": "café"}' });
+        videoWriter.addAttachment({ name: "cover.jpg", mimeType: "image/jpeg", data: cover.buffer, description: "Cover" });
+
+        const blob = await videoWriter.complete();
+        const ebml = parseEBML(await blobToBytes(blob));
+        const files = findAll(ebml, ATTACHED_FILE);
+
+        expect(blob.type).toBe("video/x-matroska");
+        expect(readString(find(ebml, DOC_TYPE))).toBe("matroska");
+
+        expect(files.map(file => readString(find(file.children, FILE_NAME)))).toEqual(["manifest.json", "cover.jpg"]);
+        expect(files.map(file => readString(find(file.children, FILE_MIME_TYPE)))).toEqual(["application/json", "image/jpeg"]);
+        expect(files.map(file => readUint(find(file.children, FILE_UID)))).toEqual([1, 2]);
+        expect(readString(find(files[0].children, FILE_DATA))).toBe('{"scene": "café"}');
+        expect(Array.from(find(files[1].children, FILE_DATA).data)).toEqual(Array.from(cover));
+        expect(readString(find(files[1].children, FILE_DESCRIPTION))).toBe("Cover");
+
+        const attachmentsSeek = findAll(ebml, SEEK).find(seek => readUint(find(seek.children, SEEK_ID)) === ATTACHMENTS);
+
+        expect(find(ebml, SEGMENT).dataOffset + readUint(find(attachmentsSeek.children, SEEK_POSITION)))
+            .toBe(find(ebml, ATTACHMENTS).offset);
+    });
+
+    it("Rejects unknown containers", () => {
+        expect(() => new WebMWriter({ frameRate: 10, container: "avi" })).toThrow();
+    });
+});
@@ -0,0 +1,64 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML } from './helpers/ebml.js';
+
+const
+    EBML = 0x1A45DFA3,
+    SEGMENT = 0x18538067,
+    SEEK_HEAD = 0x114D9B74,
+    INFO = 0x1549A966,
+    DURATION = 0x4489,
+    TRACKS = 0x1654AE6B,
+    CLUSTER = 0x1F43B675,
+    SIMPLE_BLOCK = 0xA3;
+
+describe("WebMWriter Media Source Extensions output", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Emits an initialization segment and a media segment per cluster", async () => {
+        const initSegments = [];
+        const mediaSegments = [];
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            oninitsegment: segment => initSegments.push(segment.slice()),
+            onmediasegment: segment => mediaSegments.push(segment.slice())
+        });
+
+        for (let i = 0; i < 120; i++) {
+            videoWriter.addEncodedChunk({
+                type: i % 25 === 0 ? "key" : "delta",
+                timestamp: i * 100000,
+                duration: 100000,
+                data: new Uint8Array([i])
+            });
+        }
+
+        // Segments are emitted as soon as each cluster is finished
+        expect(initSegments.length).toBe(1);
+        expect(mediaSegments.length).toBe(2);
+
+        const file = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const init = parseEBML(initSegments[0]);
+
+        expect(init.map(element => element.id)).toEqual([EBML, SEGMENT]);
+        expect(init[1].size).toBe(-1);
+        expect(init[1].children.map(element => element.id)).toEqual([INFO, TRACKS]);
+        expect(find(init, DURATION)).toBeUndefined();
+        expect(find(init, SEEK_HEAD)).toBeUndefined();
+
+        const fileClusters = findAll(file, CLUSTER);
+
+        expect(mediaSegments.length).toBe(fileClusters.length);
+
+        mediaSegments.forEach((segment, index) => {
+            const media = parseEBML(segment);
+
+            expect(media.length).toBe(1);
+            expect(media[0].id).toBe(CLUSTER);
+            expect(media[0].data).toEqual(fileClusters[index].data);
+            expect(find(media, SIMPLE_BLOCK).data[3] & 0x80).toBe(0x80);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readUint } from './helpers/ebml.js';
+import { createWebP, FakeOffscreenCanvas } from './helpers/webp.js';
+
+const
+    BLOCK_GROUP = 0xA0,
+    BLOCK_ADDITIONAL = 0xA5,
+    PIXEL_WIDTH = 0xB0;
+
+describe("WebMWriter with OffscreenCanvas, ImageBitmap and ImageData", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+        globalThis.OffscreenCanvas = FakeOffscreenCanvas;
+    });
+
+    afterAll(() => {
+        delete globalThis.OffscreenCanvas;
+    });
+
+    it("Encodes an OffscreenCanvas asynchronously and keeps later frames in order", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30, quality: 0.5 });
+        const canvas = new FakeOffscreenCanvas(64, 48);
+
+        const first = videoWriter.addFrame(canvas);
+
+        // Would be added immediately if there wasn't a frame pending
+        videoWriter.addFrame(createWebP(64, 48, false), 100);
+
+        await first;
+
+        expect(canvas.convertOptions).toEqual({ type: "image/webp", quality: 0.5 });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const blocks = findBlocks(ebml);
+
+        expect(readUint(find(ebml, PIXEL_WIDTH))).toBe(64);
+        expect(blocks.map(block => block.data[1] << 8 | block.data[2])).toEqual([0, 33]);
+    });
+
+    it("Accepts ImageData and ImageBitmaps, taking the alpha channel from them", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30, transparent: true });
+        const imageData = { width: 2, height: 2, data: new Uint8ClampedArray(16).fill(128) };
+        const bitmap = new FakeOffscreenCanvas(2, 2);
+
+        // An ImageBitmap has no getContext() of its own
+        bitmap.getContext = undefined;
+
+        await videoWriter.addFrame(imageData);
+        await videoWriter.addFrame(bitmap);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        // The last frame is also in a BlockGroup, to hold its BlockDuration
+        expect(findAll(ebml, BLOCK_GROUP).length).toBe(2);
+        expect(findAll(ebml, BLOCK_ADDITIONAL).length).toBe(1);
+        expect(findBlocks(ebml).length).toBe(2);
+    });
+
+    it("Rejects frames that fail to encode without blocking the frames after them", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30 });
+
+        await expect(videoWriter.addFrame(new Blob(["Not a WebP"]))).rejects.toThrow();
+        await videoWriter.addFrame(new FakeOffscreenCanvas(8, 8));
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(findBlocks(ebml).length).toBe(1);
+    });
+});
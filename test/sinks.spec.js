@@ -0,0 +1,341 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { MemorySink, createSink } from '../src/sinks.mjs';
+import { Blob } from 'node:buffer';
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { addVideo } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK_HEAD = 0x114D9B74,
+    DURATION = 0x4489,
+    CLUSTER = 0x1F43B675,
+    CUES = 0x1C53BB6B,
+    TAG = 0x7373,
+    TAG_TRACK_UID = 0x63C5,
+    TAG_NAME = 0x45A3,
+    TAG_STRING = 0x4487;
+
+// Fakes of the File System Access API, which keep the file in memory
+class FileSystemWritableFileStream {
+    file = new Uint8Array(0);
+    closed = false;
+
+    async write(params) {
+        expect(params.type).toBe("write");
+        expect(this.closed).toBe(false);
+
+        const end = params.position + params.data.length;
+
+        if (end > this.file.length) {
+            const grown = new Uint8Array(end);
+
+            grown.set(this.file);
+            this.file = grown;
+        }
+
+        this.file.set(params.data, params.position);
+    }
+
+    async close() {
+        this.closed = true;
+    }
+}
+
+// Writes at most 100 bytes at a time, like a short write
+class FileSystemSyncAccessHandle {
+    file = new Uint8Array(0);
+    flushed = false;
+    closed = false;
+
+    constructor(file) {
+        if (file) {
+            this.file = file;
+        }
+    }
+
+    write(data, options) {
+        expect(this.closed).toBe(false);
+
+        const chunk = data.subarray(0, 100);
+        const end = options.at + chunk.length;
+
+        if (end > this.file.length) {
+            const grown = new Uint8Array(end);
+
+            grown.set(this.file);
+            this.file = grown;
+        }
+
+        this.file.set(chunk, options.at);
+
+        return chunk.length;
+    }
+
+    truncate(size) {
+        this.file = this.file.slice(0, size);
+    }
+
+    flush() {
+        this.flushed = true;
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+class FileSystemFileHandle {
+    streams = [];
+    accessHandle = null;
+
+    async getFile() {
+        return new Blob([this.accessHandle.file]);
+    }
+
+    async createWritable() {
+        const stream = new FileSystemWritableFileStream();
+
+        this.streams.push(stream);
+
+        return stream;
+    }
+}
+
+function concat(chunks) {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let pos = 0;
+
+    for (const chunk of chunks) {
+        result.set(chunk, pos);
+        pos += chunk.length;
+    }
+
+    return result;
+}
+
+// Checks the parts of an unseekable video that would otherwise be filled in at the end
+function expectStreamedVideo(bytes) {
+    const ebml = parseEBML(bytes);
+    const tag = findAll(ebml, TAG).find(tag => find(tag.children, TAG_TRACK_UID));
+
+    expect(find(ebml, SEGMENT).size).toBe(-1);
+    expect(find(ebml, SEEK_HEAD)).toBeUndefined();
+    expect(find(ebml, DURATION)).toBeUndefined();
+    expect(find(ebml, CUES)).toBeDefined();
+    expect(findBlocks(ebml).length).toBe(20);
+
+    expect(readUint(find(tag.children, TAG_TRACK_UID))).toBe(1);
+    expect(readString(find(tag.children, TAG_NAME))).toBe("DURATION");
+    expect(readString(find(tag.children, TAG_STRING))).toBe("00:00:02.000000000");
+}
+
+async function writeToMemory(options) {
+    const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, ...options });
+
+    addVideo(videoWriter, 20, 10);
+
+    return blobToBytes(await videoWriter.complete());
+}
+
+describe("Sinks", function() {
+    let tempDir;
+
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "webm-writer-"));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("Overwrites parts of earlier writes in memory", async () => {
+        const sink = new MemorySink();
+
+        sink.write(0, new Uint8Array([1, 2, 3, 4]));
+        sink.write(4, new Uint8Array([5, 6]));
+        sink.write(1, new Uint8Array([9, 9]));
+
+        expect(() => sink.write(3, new Uint8Array([0, 0]))).toThrow();
+        expect(Array.from(await blobToBytes(sink.close("video/webm")))).toEqual([1, 9, 9, 4, 5, 6]);
+    });
+
+    it("Writes to a Node file descriptor", async () => {
+        const filename = path.join(tempDir, "fd.webm");
+        const fd = fs.openSync(filename, "w");
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, fd: fd, fs: fs });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBeNull();
+        fs.closeSync(fd);
+
+        const bytes = new Uint8Array(fs.readFileSync(filename));
+        const segment = find(parseEBML(bytes), SEGMENT);
+
+        expect(Array.from(bytes)).toEqual(Array.from(await writeToMemory()));
+        expect(segment.size).toBe(bytes.length - segment.dataOffset);
+    });
+
+    it("Writes to an fs/promises FileHandle", async () => {
+        const filename = path.join(tempDir, "handle.webm");
+        const fileHandle = await fsPromises.open(filename, "w");
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, fd: fileHandle });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBeNull();
+        await fileHandle.close();
+
+        const ebml = parseEBML(new Uint8Array(fs.readFileSync(filename)));
+
+        expect(findAll(ebml, CLUSTER).length).toBe(1);
+        expect(findBlocks(ebml).length).toBe(20);
+    });
+
+    it("Writes to a FileSystemFileHandle", async () => {
+        const fileHandle = new FileSystemFileHandle();
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, fileHandle: fileHandle });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBeNull();
+        expect(fileHandle.streams.length).toBe(1);
+        expect(fileHandle.streams[0].closed).toBe(true);
+        expect(Array.from(fileHandle.streams[0].file)).toEqual(Array.from(await writeToMemory()));
+    });
+
+    it("Writes to a FileSystemWritableFileStream", async () => {
+        const stream = new FileSystemWritableFileStream();
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, fileHandle: stream });
+
+        addVideo(videoWriter, 20, 10);
+        await videoWriter.complete();
+
+        expect(stream.closed).toBe(true);
+        expect(Array.from(stream.file)).toEqual(Array.from(await writeToMemory()));
+    });
+
+    it("Writes synchronously to an Origin Private File System access handle", async () => {
+        // Left over from an earlier, longer recording
+        const accessHandle = new FileSystemSyncAccessHandle(new Uint8Array(100000).fill(0xFF));
+        const fileHandle = new FileSystemFileHandle();
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16, maxClusterDuration: 500,
+            syncAccessHandle: accessHandle,
+            fileHandle: fileHandle
+        });
+
+        fileHandle.accessHandle = accessHandle;
+        addVideo(videoWriter, 20, 10);
+
+        // The clusters finished so far are already in the file, with nothing left waiting to be written
+        expect(Array.from(accessHandle.file.slice(0, 4))).toEqual([0x1A, 0x45, 0xDF, 0xA3]);
+        expect(videoWriter.desiredSize).toBe(16);
+
+        const file = await videoWriter.complete();
+
+        expect(accessHandle.flushed).toBe(true);
+        expect(accessHandle.closed).toBe(true);
+        expect(fileHandle.streams.length).toBe(0);
+        expect(Array.from(await blobToBytes(file))).toEqual(Array.from(await writeToMemory({ maxClusterDuration: 500 })));
+    });
+
+    it("Pipes into a Node stream.Writable, waiting for it to drain", async () => {
+        const chunks = [];
+        let writesWhileFull = 0;
+
+        const writable = new Writable({
+            highWaterMark: 16,
+            write(chunk, encoding, callback) {
+                chunks.push(new Uint8Array(chunk));
+                setTimeout(callback, 1);
+            }
+        });
+        const write = writable.write.bind(writable);
+
+        writable.write = chunk => {
+            if (writable.writableNeedDrain) {
+                writesWhileFull++;
+            }
+
+            return write(chunk);
+        };
+
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, stream: writable });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBeNull();
+        expect(writable.writableFinished).toBe(true);
+        expect(writesWhileFull).toBe(0);
+
+        expectStreamedVideo(concat(chunks));
+    });
+
+    it("Pipes into a WritableStream", async () => {
+        const chunks = [];
+        let closed = false;
+
+        const stream = new WritableStream({
+            write(chunk) {
+                chunks.push(chunk.slice());
+
+                return new Promise(resolve => setTimeout(resolve, 1));
+            },
+            close() {
+                closed = true;
+            }
+        }, new CountQueuingStrategy({ highWaterMark: 1 }));
+
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, stream: stream });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBeNull();
+        expect(closed).toBe(true);
+
+        expectStreamedVideo(concat(chunks));
+    });
+
+    it("Writes to a custom sink and returns what it resolves to", async () => {
+        const writes = [];
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            sink: {
+                write(offset, bytes) {
+                    writes.push({ offset, bytes: bytes.slice() });
+
+                    return new Promise(resolve => setTimeout(resolve, 0));
+                },
+                close(mimeType) {
+                    return Promise.resolve("Closed " + mimeType);
+                }
+            }
+        });
+
+        addVideo(videoWriter, 20, 10);
+
+        expect(await videoWriter.complete()).toBe("Closed video/webm");
+
+        // Replay the writes, including the ones that went back to fill in the header
+        const expected = await writeToMemory();
+        const file = new Uint8Array(expected.length);
+
+        for (const write of writes) {
+            file.set(write.bytes, write.offset);
+        }
+
+        expect(writes.some((write, index) => index > 0 && write.offset < writes[index - 1].offset)).toBe(true);
+        expect(Array.from(file)).toEqual(Array.from(expected));
+    });
+
+    it("Rejects destinations it doesn't know how to write to", () => {
+        expect(() => createSink({ write() {} })).toThrow();
+    });
+});
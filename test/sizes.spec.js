@@ -0,0 +1,30 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML } from './helpers/ebml.js';
+import { videoChunk } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK_POSITION = 0x53AC;
+
+describe("WebMWriter element sizes", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Reserves room for 64-bit offsets in the Segment size and SeekHead", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        for (let i = 0; i < 10; i++) {
+            videoWriter.addEncodedChunk(videoChunk(i, 5));
+        }
+
+        const bytes = await blobToBytes(await videoWriter.complete());
+        const ebml = parseEBML(bytes);
+        const segment = find(ebml, SEGMENT);
+
+        expect(segment.dataOffset - segment.offset).toBe(4 + 8);
+        expect(segment.dataOffset + segment.size).toBe(bytes.length);
+        expect(findAll(ebml, SEEK_POSITION).every(seekPosition => seekPosition.data.length === 8)).toBe(true);
+    });
+});
@@ -0,0 +1,129 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { addVideo } from './helpers/video.js';
+
+const
+    TRACK_ENTRY = 0xAE,
+    TRACK_TYPE = 0x83,
+    CODEC_ID = 0x86,
+    LANGUAGE = 0x22B59C,
+    CLUSTER = 0x1F43B675,
+    TIMECODE = 0xE7,
+    BLOCK_GROUP = 0xA0,
+    BLOCK = 0xA1,
+    BLOCK_DURATION = 0x9B,
+    BLOCK_ADDITIONAL = 0xA5,
+    PIXEL_WIDTH = 0xB0;
+
+// Returns the cues of the text track as [absolute start, duration, text, additional]
+function readCues(ebml, trackNumber) {
+    const result = [];
+
+    for (const cluster of findAll(ebml, CLUSTER)) {
+        const clusterTime = readUint(find(cluster.children, TIMECODE));
+
+        for (const blockGroup of findAll(cluster.children, BLOCK_GROUP)) {
+            const block = find(blockGroup.children, BLOCK);
+
+            if ((block.data[0] & 0x7F) !== trackNumber) {
+                continue;
+            }
+
+            const additional = find(blockGroup.children, BLOCK_ADDITIONAL);
+
+            result.push([
+                clusterTime + new DataView(block.data.buffer, block.data.byteOffset).getInt16(1),
+                readUint(find(blockGroup.children, BLOCK_DURATION)),
+                new TextDecoder().decode(block.data.subarray(4)),
+                additional ? readString(additional) : null
+            ]);
+        }
+    }
+
+    return result;
+}
+
+describe("WebMWriter.addSubtitle", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes cues as a WebVTT track", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, subtitles: { language: "ger" } });
+
+        videoWriter.addSubtitle({ start: 500, end: 2000, text: "Grüß Gott" });
+        videoWriter.addSubtitle({ start: 7250, end: 9000, text: "<i>Tschüss</i>", settings: "line:0 align:start", id: "bye" });
+        addVideo(videoWriter, 100, 20);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const trackEntry = findAll(ebml, TRACK_ENTRY)[1];
+
+        expect(readString(find(trackEntry.children, CODEC_ID))).toBe("D_WEBVTT/SUBTITLES");
+        expect(readUint(find(trackEntry.children, TRACK_TYPE))).toBe(0x11);
+        expect(readString(find(trackEntry.children, LANGUAGE))).toBe("ger");
+
+        expect(readCues(ebml, 2)).toEqual([
+            [500, 1500, "Grüß Gott", null],
+            [7250, 1750, "<i>Tschüss</i>", "bye\nline:0 align:start\n"]
+        ]);
+    });
+
+    it("Creates the text track on the first subtitle", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 10, 20);
+        videoWriter.addSubtitle({ start: 0, end: 1000, text: "Hello" });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readCues(ebml, 2)).toEqual([[0, 1000, "Hello", null]]);
+    });
+
+    it("Supports caption tracks added with addTrack()", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+        const captions = videoWriter.addTrack({ type: "subtitle", kind: "captions" });
+
+        captions.addFrame({ start: 100, end: 400, text: "[Applause]" });
+        addVideo(videoWriter, 10, 20);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readString(find(findAll(ebml, TRACK_ENTRY)[0].children, CODEC_ID))).toBe("D_WEBVTT/CAPTIONS");
+        expect(readCues(ebml, captions.trackNumber)).toEqual([[100, 300, "[Applause]", null]]);
+    });
+
+    it("Accepts all the cues before the video", async () => {
+        const subtitles = [
+            { start: 0, end: 1000, text: "First" },
+            { start: 6000, end: 7000, text: "Second" },
+            { start: 40000, end: 41000, text: "Last" }
+        ];
+
+        for (const options of [{}, { subtitles: { language: "eng" } }]) {
+            const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, ...options });
+
+            subtitles.forEach(cue => videoWriter.addSubtitle(cue));
+            addVideo(videoWriter, 500, 20);
+
+            const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+            const videoTrack = findAll(ebml, TRACK_ENTRY).find(track => readUint(find(track.children, TRACK_TYPE)) === 1);
+            const clusterTimes = findAll(ebml, CLUSTER).map(cluster => readUint(find(cluster.children, TIMECODE)));
+            const subtitleTrackNumber = options.subtitles ? 2 : 1;
+
+            expect(readUint(find(videoTrack.children, PIXEL_WIDTH))).toBe(16);
+
+            // The clusters begin at the first video keyframe after each 5 seconds, whatever the subtitles do
+            expect(clusterTimes).toEqual(Array.from({ length: 9 }, (_, i) => i * 6000));
+            expect(readCues(ebml, subtitleTrackNumber).map(cue => cue[2])).toEqual(["First", "Second", "Last"]);
+        }
+    });
+
+    it("Rejects malformed cues", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, subtitles: {} });
+
+        expect(() => videoWriter.addSubtitle({ start: 1000, end: 500, text: "Backwards" })).toThrow();
+        expect(() => videoWriter.addSubtitle({ start: 0, end: 500 })).toThrow();
+        expect(() => videoWriter.addTrack({ type: "subtitle", kind: "chapters" })).toThrow();
+    });
+});
@@ -0,0 +1,118 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { addVideo } from './helpers/video.js';
+
+const
+    SEGMENT = 0x18538067,
+    SEEK = 0x4DBB,
+    SEEK_ID = 0x53AB,
+    SEEK_POSITION = 0x53AC,
+    TITLE = 0x7BA9,
+    DATE_UTC = 0x4461,
+    TRACK_NAME = 0x536E,
+    TAGS = 0x1254C367,
+    TAG = 0x7373,
+    TARGET_TYPE_VALUE = 0x68CA,
+    TAG_TRACK_UID = 0x63C5,
+    SIMPLE_TAG = 0x67C8,
+    TAG_NAME = 0x45A3,
+    TAG_STRING = 0x4487;
+
+function readSimpleTags(tag) {
+    return findAll(tag.children, SIMPLE_TAG).map(simpleTag => [
+        readString(find(simpleTag.children, TAG_NAME)),
+        readString(find(simpleTag.children, TAG_STRING))
+    ]);
+}
+
+describe("WebMWriter tags", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Writes the title and date of the video", async () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            title: "Übersicht – 2024",
+            date: new Date(Date.UTC(2024, 2, 1, 12, 30))
+        });
+
+        addVideo(videoWriter, 10);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const dateUTC = find(ebml, DATE_UTC);
+        const nanoseconds = new DataView(dateUTC.data.buffer, dateUTC.data.byteOffset, 8).getBigInt64(0);
+
+        expect(readString(find(ebml, TITLE))).toBe("Übersicht – 2024");
+        expect(dateUTC.data.length).toBe(8);
+        expect(nanoseconds).toBe(BigInt(Date.UTC(2024, 2, 1, 12, 30) - Date.UTC(2001, 0, 1)) * 1000000n);
+    });
+
+    it("Makes room in the header for a long title", async () => {
+        const title = "Übersicht ".repeat(60);
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, title: title, date: undefined });
+
+        addVideo(videoWriter, 10);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readString(find(ebml, TITLE))).toBe(title);
+        expect(find(ebml, DATE_UTC)).toBeUndefined();
+    });
+
+    it("Rejects dates that aren't dates", () => {
+        expect(() => new WebMWriter({ frameRate: 10, date: "yesterday" })).toThrow();
+        expect(() => new WebMWriter({ frameRate: 10, date: new Date(NaN) })).toThrow();
+    });
+
+    it("Writes tags for the video and its tracks", async () => {
+        const videoWriter = new WebMWriter({
+            frameRate: 10, width: 16, height: 16,
+            tags: { ARTIST: "Zoë", PROJECT_ID: 1234 }
+        });
+        const commentary = videoWriter.addAudioTrack({ codec: "opus", channels: 1, name: "Kommentar", tags: { LANGUAGE_NOTE: "Deutsch" } });
+
+        addVideo(videoWriter, 10);
+        videoWriter.addTag("ENCODER_SETTINGS", "crf=30", 2);
+        videoWriter.addTag("COMMENT", "Rendered overnight");
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const tags = findAll(ebml, TAG);
+
+        expect(tags.length).toBe(3);
+
+        expect(readUint(find(tags[0].children, TARGET_TYPE_VALUE))).toBe(50);
+        expect(readSimpleTags(tags[0])).toEqual([["ARTIST", "Zoë"], ["PROJECT_ID", "1234"], ["COMMENT", "Rendered overnight"]]);
+
+        expect(commentary.trackNumber).toBe(1);
+        expect(readUint(find(tags[1].children, TAG_TRACK_UID))).toBe(1);
+        expect(readSimpleTags(tags[1])).toEqual([["LANGUAGE_NOTE", "Deutsch"]]);
+
+        expect(readUint(find(tags[2].children, TAG_TRACK_UID))).toBe(2);
+        expect(readSimpleTags(tags[2])).toEqual([["ENCODER_SETTINGS", "crf=30"]]);
+
+        expect(readString(find(ebml, TRACK_NAME))).toBe("Kommentar");
+    });
+
+    it("Points the SeekHead at the Tags", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16, tags: { ARTIST: "Someone" } });
+
+        addVideo(videoWriter, 10);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const tagsSeek = findAll(ebml, SEEK).find(seek => readUint(find(seek.children, SEEK_ID)) === TAGS);
+
+        expect(find(ebml, SEGMENT).dataOffset + readUint(find(tagsSeek.children, SEEK_POSITION)))
+            .toBe(find(ebml, TAGS).offset);
+    });
+
+    it("Rejects tags for tracks that don't exist", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+
+        addVideo(videoWriter, 10);
+
+        expect(() => videoWriter.addTag("COMMENT", "Lost", 5)).toThrow();
+        expect(() => videoWriter.addTag("COMMENT", "Lost", 1.5)).toThrow();
+    });
+});
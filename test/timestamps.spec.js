@@ -0,0 +1,129 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readUint } from './helpers/ebml.js';
+import { createWebP } from './helpers/webp.js';
+
+const
+    TIMECODE_SCALE = 0x2AD7B1,
+    DURATION = 0x4489,
+    CLUSTER = 0x1F43B675,
+    TIMECODE = 0xE7,
+    BLOCK_GROUP = 0xA0,
+    BLOCK_DURATION = 0x9B;
+
+// Returns the absolute timecode of every block in the file
+function readTimecodes(ebml) {
+    return findAll(ebml, CLUSTER).flatMap(cluster => {
+        const clusterTime = readUint(find(cluster.children, TIMECODE));
+
+        return findBlocks(cluster.children).map(block =>
+            clusterTime + new DataView(block.data.buffer, block.data.byteOffset).getInt16(1)
+        );
+    });
+}
+
+function readDuration(ebml) {
+    const duration = find(ebml, DURATION);
+
+    return new DataView(duration.data.buffer, duration.data.byteOffset, 8).getFloat64(0);
+}
+
+describe("WebMWriter timestamps", function() {
+    const webP = createWebP(16, 16, false);
+
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Rounds each frame's own timestamp, so a fractional frame rate doesn't drift", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30 });
+
+        for (let i = 0; i < 90; i++) {
+            videoWriter.addFrame(webP);
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const timecodes = readTimecodes(ebml);
+
+        expect(timecodes.length).toBe(90);
+        expect(timecodes.slice(0, 4)).toEqual([0, 33, 67, 100]);
+        expect(timecodes[89]).toBe(2967);
+        expect(readDuration(ebml)).toBeCloseTo(3000, 6);
+    });
+
+    it("Places frames at explicit microsecond timestamps", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 60 });
+
+        videoWriter.addFrame(webP, { timestamp: 0 });
+        videoWriter.addFrame(webP, { timestamp: 16700 });
+        videoWriter.addFrame(webP, { timestamp: 50100 });
+        videoWriter.addFrame(webP, null, { timestamp: 66800, duration: 20000 });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const groups = findAll(ebml, BLOCK_GROUP);
+
+        expect(readTimecodes(ebml)).toEqual([0, 17, 50, 67]);
+
+        // Only the last frame needs a BlockDuration, the others last until the next one begins
+        expect(groups.length).toBe(1);
+        expect(readUint(find(groups[0].children, BLOCK_DURATION))).toBe(20);
+        expect(readDuration(ebml)).toBeCloseTo(86.8, 6);
+    });
+
+    it("Gives the last frame the default duration when it doesn't have one", async () => {
+        const videoWriter = new WebMWriter({ frameDuration: 40 });
+
+        videoWriter.addFrame(webP, { timestamp: 0 });
+        videoWriter.addFrame(webP, { timestamp: 10000 });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readUint(find(ebml, BLOCK_DURATION))).toBe(40);
+        expect(readDuration(ebml)).toBeCloseTo(50, 6);
+    });
+
+    it("Places encoded chunks at their own uneven timestamps", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30, width: 16, height: 16 });
+
+        [0, 100000, 300000, 310000].forEach((timestamp, index) => {
+            videoWriter.addEncodedChunk({
+                type: index === 0 ? "key" : "delta",
+                timestamp: timestamp,
+                data: new Uint8Array([index])
+            });
+        });
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readTimecodes(ebml)).toEqual([0, 100, 300, 310]);
+        expect(readUint(find(ebml, BLOCK_DURATION))).toBe(33);
+        expect(readDuration(ebml)).toBeCloseTo(310 + 1000 / 30, 6);
+    });
+
+    it("Writes timecodes at the precision of the timecodeScale", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30, timecodeScale: 1000 });
+
+        for (let i = 0; i < 3; i++) {
+            videoWriter.addFrame(webP, { timestamp: Math.round(i * 1e6 / 30) });
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readUint(find(ebml, TIMECODE_SCALE))).toBe(1000);
+
+        // Block timecodes only span 32.7ms at this scale, so each frame needs a cluster of its own
+        expect(findAll(ebml, CLUSTER).length).toBe(3);
+        expect(readTimecodes(ebml)).toEqual([0, 33333, 66667]);
+        expect(readUint(find(ebml, BLOCK_DURATION))).toBe(33333);
+        expect(readDuration(ebml)).toBeCloseTo(66667 + 1e6 / 30, 3);
+    });
+
+    it("Rejects timestamps that go backwards and invalid timecode scales", () => {
+        const videoWriter = new WebMWriter({ frameRate: 30 });
+
+        videoWriter.addFrame(webP, { timestamp: 100000 });
+
+        expect(() => videoWriter.addFrame(webP, { timestamp: 50000 })).toThrow();
+        expect(() => new WebMWriter({ frameRate: 30, timecodeScale: 0.5 })).toThrow();
+    });
+});
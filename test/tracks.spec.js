@@ -0,0 +1,103 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readString, readUint } from './helpers/ebml.js';
+import { videoChunk } from './helpers/video.js';
+
+const
+    TRACK_ENTRY = 0xAE,
+    TRACK_NUMBER = 0xD7,
+    TRACK_UID = 0x73C5,
+    TRACK_NAME = 0x536E,
+    CODEC_ID = 0x86,
+    PIXEL_WIDTH = 0xB0,
+    CUE_POINT = 0xBB,
+    CUE_TIME = 0xB3,
+    CUE_TRACK = 0xF7;
+
+describe("WebMWriter tracks", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Muxes several tracks added with addTrack()", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+        const camera = videoWriter.addVideoTrack({ codec: "vp8", width: 640, height: 480, name: "Camera" });
+        const screen = videoWriter.addTrack({ type: "video", codec: "vp9", name: "Screen share" });
+        const microphone = videoWriter.addAudioTrack({ codec: "opus", channels: 1, language: "eng" });
+
+        expect([camera.trackNumber, screen.trackNumber, microphone.trackNumber]).toEqual([1, 2, 3]);
+
+        for (let i = 0; i < 80; i++) {
+            camera.addFrame(videoChunk(i, 20));
+            screen.addFrame(videoChunk(i, 20), i === 0 ? { decoderConfig: { codec: "vp09.00.10.08", codedWidth: 1920, codedHeight: 1080 } } : undefined);
+            microphone.addFrame({ timestamp: i * 100000, duration: 100000, data: new Uint8Array([i]) });
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const entries = findAll(ebml, TRACK_ENTRY);
+
+        expect(entries.map(entry => readUint(find(entry.children, TRACK_NUMBER)))).toEqual([1, 2, 3]);
+        expect(new Set(entries.map(entry => readUint(find(entry.children, TRACK_UID)))).size).toBe(3);
+        expect(entries.map(entry => readString(find(entry.children, CODEC_ID)))).toEqual(["V_VP8", "V_VP9", "A_OPUS"]);
+        expect(readString(find(entries[1].children, TRACK_NAME))).toBe("Screen share");
+        expect(readUint(find(entries[1].children, PIXEL_WIDTH))).toBe(1920);
+
+        const blockTracks = findBlocks(ebml).map(block => block.data[0] & 0x7F);
+
+        expect(blockTracks.filter(track => track === 3).length).toBe(80);
+
+        // Each video track gets its own cue points, the audio track doesn't need any
+        const cues = findAll(ebml, CUE_POINT).map(cue => ({
+            time: readUint(find(cue.children, CUE_TIME)),
+            tracks: findAll(cue.children, CUE_TRACK).map(readUint)
+        }));
+
+        expect(cues).toEqual([
+            { time: 0, tracks: [1, 2] },
+            { time: 6000, tracks: [1, 2] }
+        ]);
+    });
+
+    it("Makes room in the header for long track names", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, width: 16, height: 16 });
+        const name = "Kamera ".repeat(60);
+        const camera = videoWriter.addVideoTrack({ codec: "vp8", width: 16, height: 16, name: name });
+
+        for (let i = 0; i < 10; i++) {
+            camera.addFrame(videoChunk(i, 20));
+        }
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readString(find(ebml, TRACK_NAME))).toBe(name);
+    });
+
+    it("Refuses to add tracks once the header has been written", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+        const track = videoWriter.addVideoTrack({ codec: "vp8", width: 16, height: 16 });
+
+        // The keyframe at 6 seconds begins the second cluster, so the first one is written out
+        for (let i = 0; i <= 60; i++) {
+            track.addFrame(videoChunk(i, 20));
+        }
+
+        expect(() => videoWriter.addAudioTrack({ codec: "opus", channels: 2 })).toThrow();
+    });
+
+    it("Gives video tracks the writer's codec by default", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 10, codec: "vp9" });
+        const track = videoWriter.addVideoTrack({ width: 16, height: 16 });
+
+        track.addFrame(videoChunk(0, 20));
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+
+        expect(readString(find(ebml, CODEC_ID))).toBe("V_VP9");
+    });
+
+    it("Rejects unknown track types", () => {
+        const videoWriter = new WebMWriter({ frameRate: 10 });
+
+        expect(() => videoWriter.addTrack({ type: "hologram" })).toThrow();
+    });
+});
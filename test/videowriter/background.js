@@ -1,8 +0,0 @@
-chrome.app.runtime.onLaunched.addListener(function() {
-    chrome.app.window.create('test.html', {
-        'innerBounds' : {
-            'width' : 1100,
-            'height' : 600
-        }
-    });
-});
\ No newline at end of file
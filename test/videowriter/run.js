@@ -1,42 +1,17 @@
 import { WebMWriter } from '../../main.mjs';
 
 function pickFile() {
-    return new Promise(function(resolve, reject) {
-        chrome.fileSystem.chooseEntry({type: 'saveFile', suggestedName: "video.webm", accepts: [{extensions: ['webm']}]}, function(fileEntry) {
-            let error = chrome.runtime.lastError;
-
-            if (error) {
-                console.error(error.message);
-
-                if (error.message !== "User cancelled") {
-                    console.log("Write failed");
-                }
-
-                reject();
-            } else {
-                resolve(fileEntry);
-            }
-        });
-    });
-}
-
-function openFileForWrite(fileEntry) {
-    return new Promise(function(resolve, reject) {
-        fileEntry.createWriter(function (fileWriter) {
-            resolve(fileWriter);
-        }, function (e) {
-            // File is not readable or does not exist!
-            console.error(e);
-            reject();
-        });
+    return window.showSaveFilePicker({
+        suggestedName: "video.webm",
+        types: [{description: "WebM video", accept: {"video/webm": [".webm"]}}]
     });
 }
 
-function renderToDevice(fileEntry, fileWriter) {
+function renderToDevice(fileHandle) {
     let
         videoWriter = new WebMWriter({
             frameRate: 30,
-            fileWriter: fileWriter
+            fileHandle: fileHandle
         }),
 
         canvas = document.getElementById("canvas"),
@@ -78,25 +53,18 @@ function renderToDevice(fileEntry, fileWriter) {
 
         setTimeout(function() {
             if (frameIndex === maxFrames) {
-                if (fileWriter == null) {
+                if (fileHandle == null) {
                     videoWriter.complete().then(function(webMBlob) {
                         video.src = URL.createObjectURL(webMBlob);
 
                         saveAs(webMBlob, 'video.webm');
                     });
                 } else {
-                    videoWriter.complete().then(function() {
-                        fileEntry.file(function(file) {
-                            let
-                                fileReader = new FileReader();
-
-                            fileReader.onloadend = function() {
-                                video.src = fileReader.result;
-                            }
-
-                            fileReader.readAsDataURL(file);
+                    videoWriter.complete()
+                        .then(() => fileHandle.getFile())
+                        .then(file => {
+                            video.src = URL.createObjectURL(file);
                         });
-                    });
                 }
             } else {
                 renderFrame(frameIndex + 1);
@@ -108,13 +76,19 @@ function renderToDevice(fileEntry, fileWriter) {
 }
 
 document.addEventListener('DOMContentLoaded', function() {
-    if (chrome.fileSystem) {
-        pickFile().then(function(fileEntry) {
-            openFileForWrite(fileEntry).then(function(fileWriter) {
-                renderToDevice(fileEntry, fileWriter);
+    let
+        button = document.getElementById("render");
+
+    // The file picker can only be opened in response to a click
+    button.addEventListener("click", function() {
+        button.disabled = true;
+
+        if (window.showSaveFilePicker) {
+            pickFile().then(renderToDevice, () => {
+                button.disabled = false;
             });
-        })
-    } else {
-        renderToDevice(null);
-    }
+        } else {
+            renderToDevice(null);
+        }
+    });
 }, false);
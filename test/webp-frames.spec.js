@@ -0,0 +1,59 @@
+import { WebMWriter } from '../src/WebMWriter.mjs';
+import { decodeBase64WebPDataURL, extractKeyframeFromWebP } from '../src/utils.mjs';
+import { Blob } from 'node:buffer';
+import { blobToBytes, find, findAll, findBlocks, parseEBML, readUint } from './helpers/ebml.js';
+import { createWebP } from './helpers/webp.js';
+
+const
+    SIMPLE_BLOCK = 0xA3,
+    PIXEL_WIDTH = 0xB0,
+    PIXEL_HEIGHT = 0xBA;
+
+describe("WebP frames as bytes", function() {
+    beforeAll(() => {
+        globalThis.Blob = Blob;
+    });
+
+    it("Extracts the VP8 keyframe and its dimensions", () => {
+        const keyframe = extractKeyframeFromWebP(new Uint8Array(createWebP(300, 200, true)));
+
+        expect(keyframe.hasAlpha).toBe(true);
+        expect(keyframe.width).toBe(300);
+        expect(keyframe.height).toBe(200);
+        expect(keyframe.frame.length).toBe(11);
+        expect(keyframe.frame[10]).toBe(0x42);
+    });
+
+    it("Decodes WebP data URLs without window.atob", () => {
+        const webP = createWebP(2, 2, false);
+        const decoded = decodeBase64WebPDataURL("data:image/webp;base64," + webP.toString("base64"));
+
+        expect(decoded).toBeInstanceOf(Uint8Array);
+        expect(Array.from(decoded)).toEqual(Array.from(webP));
+    });
+
+    it("Accepts Buffer, Uint8Array and ArrayBuffer WebP frames in plain Node", async () => {
+        const videoWriter = new WebMWriter({ frameRate: 30 });
+        const webP = createWebP(320, 240, false);
+
+        videoWriter.addFrame(webP);
+        videoWriter.addFrame(new Uint8Array(webP));
+        videoWriter.addFrame(new Uint8Array(webP).slice().buffer);
+
+        const ebml = parseEBML(await blobToBytes(await videoWriter.complete()));
+        const blocks = findBlocks(ebml);
+
+        expect(readUint(find(ebml, PIXEL_WIDTH))).toBe(320);
+        expect(readUint(find(ebml, PIXEL_HEIGHT))).toBe(240);
+        expect(blocks.length).toBe(3);
+        expect(blocks.every(block => block.data.length === 4 + 11)).toBe(true);
+        expect(findAll(ebml, SIMPLE_BLOCK).every(block => block.data[3] === 0x80)).toBe(true);
+    });
+
+    it("Requires a separate alpha channel for transparent WebP files", () => {
+        const videoWriter = new WebMWriter({ frameRate: 30, transparent: true });
+
+        expect(() => videoWriter.addFrame(createWebP(4, 4, true))).toThrow(/alpha/);
+        expect(() => videoWriter.addFrame(createWebP(4, 4, true), createWebP(4, 4, false))).not.toThrow();
+    });
+});